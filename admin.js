@@ -1,18 +1,47 @@
-// websocket.js
+// admin.js - Admin panel, on its own connection through the shared transport
 import { showNotification, formatCurrency } from './utils.js';
+import { GAME_CONFIG } from './rules.js';
+import { validatePatternDefinition } from './patterns.js';
+import { getPrize } from './payout.js';
+import { createTransport } from './transport.js';
+import { redactSecrets } from './protocol.js';
 
-let socket = null;
 let connectionStatus = 'disconnected';
-const reconnectAttempts = 0;
-const MAX_RECONNECT_ATTEMPTS = 5;
+
+// Refresh the admin token this long before it expires
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
 
 // Admin state
 const adminState = {
+    // Session from admin_login; the token goes in the hello and every admin message
+    token: sessionStorage.getItem('adminToken'),
+    username: null,
+    // Role and the admin actions it allows (['*'] for all), sent by the server
+    role: null,
+    actions: [],
+    authenticated: false,
+    pendingLogin: null,
+    refreshTimer: null,
+    // Room the panel is following, picked from the lobby rooms
     roomId: null,
+    rooms: [],
+    // Scheduled games, soonest first
+    schedules: [],
     players: [],
     gameActive: false,
     calledNumbers: [],
+    draw: null,
+    // Patterns in play, the current stage and the payout table of the room
+    gamePatterns: null,
+    stage: null,
+    payouts: null,
     winners: [],
+    // Withdrawal requests, newest first
+    withdrawals: [],
+    patterns: [],
+    admins: [],
+    auditLog: [],
+    editorCells: new Set(),
     stats: {
         totalPlayers: 0,
         totalPayments: 0,
@@ -21,65 +50,66 @@ const adminState = {
     }
 };
 
-// WebSocket connection management
-export function connectWebSocket(adminToken = null) {
-    const IS_PRODUCTION = window.location.hostname !== 'localhost' && 
-                         window.location.hostname !== '127.0.0.1';
-    const WS_URL = IS_PRODUCTION 
-        ? 'wss://ameng-gogs-mel3-94.deno.dev/ws'
-        : 'ws://localhost:8000/ws';
-    
-    try {
-        if (socket && socket.readyState === WebSocket.OPEN) {
-            socket.close();
-        }
+// The admin connection says hello with the session token once there is one;
+// before that it is only used to log in. Admin messages carry the token, so
+// they are never kept in the outbox.
+const transport = createTransport({
+    hello: () => adminState.token ? createAdminHello(adminState.token) : null
+});
 
-        console.log('Connecting to WebSocket:', WS_URL);
-        socket = new WebSocket(WS_URL);
+transport.on('message', handleWebSocketMessage);
+transport.on('status', (status) => updateConnectionStatus(status.state));
 
-        socket.onopen = () => {
-            console.log('WebSocket connected');
-            connectionStatus = 'connected';
-            updateConnectionStatus('connected');
-            
-            // Send admin authentication
-            if (adminToken) {
-                sendMessage({
-                    type: 'hello',
-                    playerId: 'admin_' + Date.now(),
-                    isAdmin: true,
-                    token: adminToken,
-                    deviceInfo: {
-                        userAgent: navigator.userAgent,
-                        platform: navigator.platform
-                    }
-                });
-            }
-            
-            // Start ping interval
-            startPingInterval();
-        };
+transport.on('disconnected', (event) => {
+    if (event.code !== 1000) { // Not normal closure
+        showNotification('Connection lost. Reconnecting...', true);
+    }
+});
 
-        socket.onmessage = handleWebSocketMessage;
-        socket.onclose = handleWebSocketClose;
-        socket.onerror = handleWebSocketError;
+transport.on('reconnect_failed', () => {
+    showNotification('Failed to reconnect. Please refresh the page.', true);
+});
 
-        return true;
-    } catch (error) {
-        console.error('WebSocket connection failed:', error);
-        showNotification('Failed to connect to server: ' + error.message, true);
-        return false;
+transport.on('message_error', () => {
+    showNotification('Error processing server message', true);
+});
+
+transport.on('send_error', ({ error }) => {
+    showNotification(`Message not sent: ${error.message}`, true);
+});
+
+transport.on('protocol_unsupported', () => {
+    showNotification('The admin panel is out of date. Please refresh the page.', true);
+});
+
+// WebSocket connection management
+export function connectWebSocket(adminToken = null) {
+    if (adminToken) {
+        adminState.token = adminToken;
     }
+    return transport.connect();
 }
 
-function handleWebSocketMessage(event) {
+function handleWebSocketMessage(message) {
     try {
-        const message = JSON.parse(event.data);
-        console.log('Received WebSocket message:', message);
+        console.log('Received WebSocket message:', redactSecrets(message));
         
         // Handle admin-specific messages
-        if (message.type === 'welcome' && message.message && message.message.includes('Admin')) {
-            showNotification('Admin connected successfully', false);
+        if (message.type === 'welcome' && message.isAdmin) {
+            adminState.authenticated = true;
+            adminState.username = message.username;
+            setAdminRole(message.role, message.actions);
+            if (adminState.pendingLogin) {
+                adminState.pendingLogin.resolve(message);
+                adminState.pendingLogin = null;
+            }
+            showNotification(`Admin ${message.username} (${message.role}) connected`, false);
+            adminGetLobby();
+            if (hasPermission('list_patterns')) adminListPatterns();
+            if (hasPermission('list_withdrawals')) adminListWithdrawals();
+            if (hasPermission('list_admins')) adminListAdmins();
+            if (hasPermission('list_audit')) adminListAudit();
+            if (hasPermission('list_schedules')) adminListSchedules();
             return;
         }
         
@@ -100,6 +130,9 @@ function handleWebSocketMessage(event) {
             case 'player_won':
                 handlePlayerWon(message);
                 break;
+            case 'claim_rejected':
+                handleClaimRejected(message);
+                break;
             case 'withdrawal_request':
                 handleWithdrawalRequest(message);
                 break;
@@ -115,6 +148,15 @@ function handleWebSocketMessage(event) {
             case 'game_started':
                 handleGameStarted(message);
                 break;
+            case 'game_ended':
+                handleGameEnded(message);
+                break;
+            case 'stage_changed':
+                handleStageChanged(message);
+                break;
+            case 'payouts_updated':
+                handlePayoutsUpdated(message);
+                break;
             case 'number_called':
                 handleNumberCalled(message);
                 break;
@@ -127,61 +169,92 @@ function handleWebSocketMessage(event) {
             case 'players_list':
                 handlePlayersList(message);
                 break;
+            case 'patterns_list':
+                handlePatternsList(message);
+                break;
+            case 'pattern_saved':
+                handlePatternSaved(message);
+                break;
+            case 'admin_session':
+                handleAdminSession(message);
+                break;
+            case 'admin_logged_out':
+                clearAdminSession();
+                showNotification('Logged out', false);
+                break;
+            case 'password_changed':
+                showNotification('Password changed', false);
+                break;
+            case 'admins_list':
+                adminState.admins = message.admins;
+                updateAdminAccounts();
+                break;
+            case 'admin_saved':
+                handleAdminSaved(message);
+                break;
+            case 'admin_deleted':
+                adminState.admins = adminState.admins.filter(admin => admin.username !== message.username);
+                updateAdminAccounts();
+                break;
+            case 'player_muted':
+                handlePlayerMuted(message);
+                break;
+            case 'lobby':
+                adminState.rooms = message.rooms;
+                updateRoomList();
+                break;
+            case 'room_updated':
+                handleRoomUpdated(message);
+                break;
+            case 'room_closed':
+                handleRoomClosed(message);
+                break;
+            case 'schedules_list':
+                adminState.schedules = message.schedules;
+                updateScheduleList();
+                break;
+            case 'schedule_saved':
+                handleScheduleSaved(message);
+                break;
+            case 'schedule_deleted':
+                adminState.schedules = adminState.schedules.filter(schedule => schedule.id !== message.scheduleId);
+                updateScheduleList();
+                break;
+            case 'audit_log':
+                adminState.auditLog = message.entries;
+                updateAuditLog();
+                break;
+            case 'audit_export':
+                downloadAuditExport(message);
+                break;
+            case 'game_reset':
+                showNotification('Game reset', false);
+                break;
+            case 'withdrawals_list':
+                handleWithdrawalsList(message);
+                break;
+            case 'withdrawal_updated':
+                handleWithdrawalUpdated(message);
+                break;
+            case 'payout_updated':
+                handlePayoutUpdated(message);
+                break;
             default:
                 console.log('Unhandled message type:', message.type);
         }
     } catch (error) {
-        console.error('Error parsing WebSocket message:', error);
+        console.error('Error handling WebSocket message:', error);
         showNotification('Error processing server message', true);
     }
 }
 
-function handleWebSocketClose(event) {
-    console.log('WebSocket disconnected:', event.code, event.reason);
-    connectionStatus = 'disconnected';
-    updateConnectionStatus('disconnected');
-    
-    if (event.code !== 1000) { // Not normal closure
-        showNotification('Connection lost. Reconnecting...', true);
-        attemptReconnect();
-    }
-}
-
-function handleWebSocketError(error) {
-    console.error('WebSocket error:', error);
-    connectionStatus = 'error';
-    updateConnectionStatus('error');
-}
-
-function attemptReconnect() {
-    if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
-        showNotification('Failed to reconnect. Please refresh the page.', true);
-        return;
-    }
-    
-    setTimeout(() => {
-        connectWebSocket();
-    }, 3000);
-}
-
-function startPingInterval() {
-    setInterval(() => {
-        if (socket && socket.readyState === WebSocket.OPEN) {
-            sendMessage({
-                type: 'ping',
-                timestamp: Date.now()
-            });
-        }
-    }, 30000);
-}
-
 function updateConnectionStatus(status) {
     connectionStatus = status;
     const statusElement = document.getElementById('connectionStatus');
     if (statusElement) {
         let icon = '🔴';
         if (status === 'connected') icon = '🟢';
-        else if (status === 'connecting') icon = '🟡';
+        else if (status === 'connecting' || status === 'reconnecting') icon = '🟡';
         statusElement.textContent = `${icon} ${status}`;
     }
 }
@@ -194,6 +267,7 @@ function handlePlayerJoined(message) {
         phone: message.phone,
         stake: message.stake,
         gameType: message.gameType,
+        cardCount: message.cardCount || 1,
         joinedAt: new Date()
     };
     
@@ -231,8 +305,7 @@ function handlePlayerPaid(message) {
     if (player) {
         player.payment = player.payment || 0;
         player.payment += message.amount;
-        player.balance = player.balance || 0;
-        player.balance += message.amount;
+        player.balance = message.balance;
         
         adminState.stats.totalPayments += message.amount;
     }
@@ -259,6 +332,7 @@ function handlePlayerWon(message) {
         name: message.name,
         pattern: message.pattern,
         amount: message.amount,
+        stage: message.stage ?? null,
         timestamp: new Date()
     });
     
@@ -268,21 +342,54 @@ function handlePlayerWon(message) {
     showNotification(`${message.name} won ${formatCurrency(message.amount)} with ${message.pattern}`, false);
 }
 
+function handleClaimRejected(message) {
+    console.log('Claim rejected:', message);
+    showNotification(`${message.name}'s ${message.pattern} claim rejected: ${message.reason}`, true);
+}
+
+// A new request joins the queue; the money stays held until it is reviewed
 function handleWithdrawalRequest(message) {
     const player = adminState.players.find(p => p.id === message.playerId);
     if (player) {
-        player.balance = player.balance || 0;
-        player.balance -= message.amount;
-        player.withdrawn = player.withdrawn || 0;
-        player.withdrawn += message.amount;
-        
-        adminState.stats.totalWithdrawals += message.amount;
+        player.balance = message.balance;
+    }
+    
+    if (message.request) {
+        adminState.withdrawals.unshift(message.request);
+    }
+    
+    updatePlayerList();
+    updateWithdrawalQueue();
+    
+    showNotification(`${message.name} asked to withdraw ${formatCurrency(message.amount)}`, false);
+}
+
+function handleWithdrawalsList(message) {
+    adminState.withdrawals = message.withdrawals || [];
+    updateWithdrawalQueue();
+}
+
+function handleWithdrawalUpdated(message) {
+    const request = message.request;
+    adminState.withdrawals = adminState.withdrawals.map(w => w.id === request.id ? request : w);
+    
+    const player = adminState.players.find(p => p.id === request.playerId);
+    if (player) {
+        player.balance = request.wallet.balance;
+        if (request.status === 'paid') {
+            player.withdrawn = (player.withdrawn || 0) + request.amount;
+        }
+    }
+    
+    if (request.status === 'paid') {
+        adminState.stats.totalWithdrawals += request.amount;
     }
     
     updatePlayerList();
+    updateWithdrawalQueue();
     updateStatsDisplay();
     
-    showNotification(`${message.name} withdrew ${formatCurrency(message.amount)}`, false);
+    showNotification(`Withdrawal ${request.id} ${request.status}`, false);
 }
 
 function handlePlayerMarked(message) {
@@ -297,7 +404,7 @@ function handleChatMessage(message) {
         const messageDiv = document.createElement('div');
         messageDiv.className = 'chat-message';
         messageDiv.innerHTML = `
-            <strong>${message.playerName}:</strong> ${message.text}
+            <strong>${escapeHtml(message.playerName || '')}:</strong> ${escapeHtml(message.text)}
             <br><small>${new Date(message.timestamp).toLocaleTimeString()}</small>
         `;
         chatContainer.appendChild(messageDiv);
@@ -306,14 +413,161 @@ function handleChatMessage(message) {
 }
 
 function handleErrorMessage(message) {
+    if (message.code === 'login_failed' && adminState.pendingLogin) {
+        adminState.pendingLogin.reject(new Error(message.message));
+        adminState.pendingLogin = null;
+    }
+    
+    if (message.code === 'token_expired' || message.code === 'invalid_token') {
+        clearAdminSession();
+    }
+    
     showNotification(message.message || 'An error occurred', true);
 }
 
+// ===== ADMIN SESSION =====
+
+function createAdminHello(token) {
+    return {
+        type: 'hello',
+        playerId: 'admin_' + Date.now(),
+        isAdmin: true,
+        token: token,
+        deviceInfo: {
+            userAgent: navigator.userAgent,
+            platform: navigator.platform
+        }
+    };
+}
+
+// A new or refreshed token; the first one also authenticates this connection
+function handleAdminSession(message) {
+    adminState.token = message.token;
+    adminState.username = message.username;
+    setAdminRole(message.role, message.actions);
+    sessionStorage.setItem('adminToken', message.token);
+    
+    if (!adminState.authenticated) {
+        sendMessage(createAdminHello(message.token));
+    }
+    
+    clearTimeout(adminState.refreshTimer);
+    adminState.refreshTimer = setTimeout(() => {
+        sendMessage({ type: 'admin_refresh', token: adminState.token });
+    }, Math.max(message.expiresAt - Date.now() - TOKEN_REFRESH_MARGIN_MS, 0));
+}
+
+function clearAdminSession() {
+    clearTimeout(adminState.refreshTimer);
+    adminState.token = null;
+    adminState.username = null;
+    adminState.authenticated = false;
+    setAdminRole(null, []);
+    sessionStorage.removeItem('adminToken');
+}
+
+// ===== ROLES =====
+
+// Panel buttons and the admin action each one needs
+const PANEL_BUTTON_ACTIONS = {
+    startGameBtn: 'start_game',
+    callNumberBtn: 'number_called',
+    endGameBtn: 'end_game',
+    broadcastBtn: 'broadcast',
+    createRoomBtn: 'create_room',
+    closeRoomBtn: 'close_room',
+    createScheduleBtn: 'create_schedule',
+    savePatternBtn: 'save_pattern',
+    auditFilterBtn: 'list_audit',
+    exportAuditCsvBtn: 'export_audit',
+    exportAuditJsonBtn: 'export_audit'
+};
+
+export function hasPermission(action) {
+    return adminState.actions.includes('*') || adminState.actions.includes(action);
+}
+
+function setAdminRole(role, actions) {
+    adminState.role = role || null;
+    adminState.actions = actions || [];
+    applyRolePermissions();
+}
+
+// Hide the buttons the role cannot use; markup elsewhere tags its buttons
+// with data-admin-action
+export function applyRolePermissions() {
+    Object.entries(PANEL_BUTTON_ACTIONS).forEach(([id, action]) => {
+        const button = document.getElementById(id);
+        if (button) button.hidden = !hasPermission(action);
+    });
+    
+    document.querySelectorAll('[data-admin-action]').forEach(element => {
+        element.hidden = !hasPermission(element.dataset.adminAction);
+    });
+    
+    updatePlayerList();
+    updateWithdrawalQueue();
+    updatePatternLibrary();
+    updateScheduleList();
+}
+
+// The admin action a message needs, or null for messages any client may send
+function getMessageAction(message) {
+    if (message.type === 'admin_command') return message.command;
+    if (message.type === 'start_game' || message.type === 'number_called') return message.type;
+    return null;
+}
+
+// Log in with an admin account; resolves once this connection is an admin
+export function adminLogin(username, password) {
+    // A stored token from an older session must not be sent with the new login
+    clearAdminSession();
+    
+    return new Promise((resolve, reject) => {
+        adminState.pendingLogin = { resolve, reject };
+        
+        const login = () => sendMessage({ type: 'admin_login', username, password });
+        if (transport.isConnected()) {
+            login();
+        } else {
+            const stopWaiting = transport.on('connected', () => {
+                stopWaiting();
+                login();
+            });
+            connectWebSocket();
+        }
+    });
+}
+
+export function adminLogout() {
+    return sendMessage({ type: 'admin_logout', token: adminState.token });
+}
+
+export function adminChangePassword(currentPassword, newPassword) {
+    return sendMessage({
+        type: 'admin_command',
+        command: 'change_password',
+        data: {
+            currentPassword: currentPassword,
+            newPassword: newPassword
+        }
+    });
+}
+
 function handleGameStarted(message) {
+    showNotification(`Game started in room ${message.roomId}`, false);
+    
+    // Games in other rooms run on; the panel follows the selected room
+    if (adminState.roomId && message.roomId !== adminState.roomId) return;
+    
     adminState.gameActive = true;
     adminState.calledNumbers = [];
-    
-    showNotification(`Game started in room ${message.roomId}`, false);
+    adminState.roomId = message.roomId;
+    adminState.gameType = message.gameType;
+    adminState.draw = message.draw || null;
+    adminState.gamePatterns = message.patterns || null;
+    adminState.stage = message.stage ?? null;
+    adminState.payouts = message.payouts || null;
     
     // Update UI
     const gameStatusElement = document.getElementById('gameStatus');
@@ -321,6 +575,94 @@ function handleGameStarted(message) {
         gameStatusElement.textContent = 'Active';
         gameStatusElement.className = 'status-active';
     }
+    
+    const commitmentElement = document.getElementById('drawCommitment');
+    if (commitmentElement && adminState.draw) {
+        commitmentElement.textContent = adminState.draw.commitment;
+    }
+    
+    updatePayoutDisplay();
+    updateStageDisplay();
+}
+
+function handleStageChanged(message) {
+    showNotification(`Room ${message.roomId} moved to stage ${message.stage + 1}: ${message.pattern.name.en}`, false);
+    if (message.roomId !== adminState.roomId) return;
+    
+    adminState.stage = message.stage;
+    updateStageDisplay();
+}
+
+// Live pool before the start, fixed once the game runs
+function handlePayoutsUpdated(message) {
+    if (message.roomId !== adminState.roomId && adminState.roomId) return;
+    
+    adminState.payouts = message.payouts;
+    updatePayoutDisplay();
+}
+
+// Pot, house commission, prize pool and what each pattern pays
+function updatePayoutDisplay() {
+    const payouts = adminState.payouts;
+    if (!payouts) return;
+    
+    const figures = {
+        gamePaidCards: payouts.paidCards,
+        gamePot: formatCurrency(payouts.pot),
+        gameCommission: `${formatCurrency(payouts.commission)} (${Math.round(payouts.commissionRate * 100)}%)`,
+        gamePool: formatCurrency(payouts.pool)
+    };
+    Object.entries(figures).forEach(([elementId, text]) => {
+        const element = document.getElementById(elementId);
+        if (element) element.textContent = text;
+    });
+    
+    const tableElement = document.getElementById('payoutTable');
+    if (tableElement) {
+        tableElement.innerHTML = payouts.prizes.map(prize => `
+            <tr>
+                <td>${prize.pattern}</td>
+                <td>${Math.round(prize.share * 100)}%</td>
+                <td>${formatCurrency(prize.amount)}</td>
+            </tr>
+        `).join('');
+    }
+}
+
+// Current stage and what it pays
+function updateStageDisplay() {
+    const stageElement = document.getElementById('gameStage');
+    if (!stageElement) return;
+    
+    if (adminState.stage === null || !adminState.gamePatterns) {
+        stageElement.textContent = '';
+        return;
+    }
+    
+    const pattern = adminState.gamePatterns[adminState.stage];
+    const prize = adminState.payouts
+        ? ` (${formatCurrency(getPrize(adminState.payouts, pattern))})`
+        : '';
+    stageElement.textContent = `${adminState.stage + 1}/${adminState.gamePatterns.length}. ${pattern.name.en}${prize}`;
+}
+
+function handleGameEnded(message) {
+    showNotification(`Game ended in room ${message.roomId}`, false);
+    if (message.roomId !== adminState.roomId) return;
+    
+    adminState.gameActive = false;
+    
+    const gameStatusElement = document.getElementById('gameStatus');
+    if (gameStatusElement) {
+        gameStatusElement.textContent = 'Ended';
+        gameStatusElement.className = 'status-inactive';
+    }
+    
+    // Show the revealed seed so it can be shared with players on dispute
+    const seedElement = document.getElementById('drawSeed');
+    if (seedElement && message.draw) {
+        seedElement.textContent = message.draw.seed;
+    }
 }
 
 function handleNumberCalled(message) {
@@ -348,7 +690,10 @@ function handleNumberCalled(message) {
 }
 
 function handleWinAnnounced(message) {
-    showNotification(`${message.winnerName} won ${formatCurrency(message.amount)}!`, false);
+    const shared = message.winners && message.winners.length > 1;
+    showNotification(shared
+        ? `${message.winnerName} share ${formatCurrency(message.amount)} (${message.split} split)`
+        : `${message.winnerName} won ${formatCurrency(message.amount)}!`, false);
 }
 
 function handleStatsUpdate(message) {
@@ -368,6 +713,16 @@ function handlePlayersList(message) {
     }
 }
 
+function handlePatternsList(message) {
+    adminState.patterns = message.patterns || [];
+    updatePatternLibrary();
+}
+
+function handlePatternSaved(message) {
+    showNotification(`Pattern saved: ${message.pattern.name.en}`, false);
+    clearPatternEditor();
+}
+
 // UI Update functions
 function updatePlayerList() {
     const playerListElement = document.getElementById('playerList');
@@ -379,20 +734,76 @@ function updatePlayerList() {
         const row = document.createElement('tr');
         row.innerHTML = `
             <td>${player.id}</td>
-            <td>${player.name || 'N/A'}</td>
-            <td>${player.phone || 'N/A'}</td>
-            <td>${formatCurrency(player.stake || 0)}</td>
+            <td>${escapeHtml(player.name || 'N/A')}</td>
+            <td>${escapeHtml(player.phone || 'N/A')}</td>
+            <td>${formatCurrency(player.stake || 0)} × ${player.cardCount || 1}</td>
             <td>${formatCurrency(player.payment || 0)}</td>
             <td>${formatCurrency(player.balance || 0)}</td>
             <td>${player.gameType || 'N/A'}</td>
             <td>
-                <button onclick="adminKickPlayer('${player.id}')" class="btn-danger">Kick</button>
+                ${hasPermission('mute_player') ? `<button onclick="adminMutePlayer('${player.id}', ${!player.muted})">${player.muted ? 'Unmute' : 'Mute'}</button>` : ''}
+                ${hasPermission('kick_player') ? `<button onclick="adminKickPlayer('${player.id}')" class="btn-danger">Kick</button>` : ''}
             </td>
         `;
         playerListElement.appendChild(row);
     });
 }
 
+// Provider payouts report here; a confirmed one also arrives as withdrawal_updated
+function handlePayoutUpdated(message) {
+    const payment = message.payment;
+    const failed = payment.status === 'failed';
+    
+    showNotification(`Payout for ${payment.withdrawalId} via ${payment.provider}: ${payment.status}${failed ? ` (${payment.reason})` : ''}`, failed);
+}
+
+// Each request with the player's totals so the admin can judge it
+function updateWithdrawalQueue() {
+    const queueElement = document.getElementById('withdrawalQueue');
+    if (!queueElement) return;
+    
+    const filter = document.getElementById('withdrawalStatusFilter')?.value || '';
+    queueElement.innerHTML = '';
+    
+    adminState.withdrawals
+        .filter(request => !filter || request.status === filter)
+        .forEach(request => {
+            const wallet = request.wallet || { balance: 0, totals: {} };
+            // Every step after the request itself, with the admin account (or
+            // payment provider) that took it
+            const notes = request.history
+                .slice(1)
+                .map(step => `${step.status} by ${escapeHtml(step.by || '?')}${step.note ? `: ${escapeHtml(step.note)}` : ''}`)
+                .join('<br>');
+            const actions = {
+                pending: ['approved', 'rejected'],
+                approved: ['paid', 'rejected']
+            }[request.status] || [];
+            const canUpdate = hasPermission('update_withdrawal');
+            
+            // Name, phone and account number are typed in by the player
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${new Date(request.createdAt).toLocaleString()}</td>
+                <td>${escapeHtml(request.name || request.playerId)}<br><small>${escapeHtml(request.phone || '')}</small></td>
+                <td>${escapeHtml(request.accountNumber)}</td>
+                <td>${formatCurrency(request.amount)}</td>
+                <td>
+                    Deposits ${formatCurrency(wallet.totals.deposit || 0)}<br>
+                    Wins ${formatCurrency(wallet.totals.win || 0)}<br>
+                    Balance ${formatCurrency(wallet.balance)}
+                </td>
+                <td>${request.status}</td>
+                <td>${notes}</td>
+                <td>
+                    ${request.status === 'approved' && hasPermission('send_payout') ? `<button onclick="adminSendPayout('${request.id}')">Send payout</button>` : ''}
+                    ${actions.filter(() => canUpdate).map(status => `<button onclick="adminUpdateWithdrawal('${request.id}', '${status}')" class="${status === 'rejected' ? 'btn-danger' : ''}">${WITHDRAWAL_ACTIONS[status]}</button>`).join(' ')}
+                </td>
+            `;
+            queueElement.appendChild(row);
+        });
+}
+
 function updateWinnersList() {
     const winnersListElement = document.getElementById('winnersList');
     if (!winnersListElement) return;
@@ -402,8 +813,8 @@ function updateWinnersList() {
     adminState.winners.slice(-10).reverse().forEach(winner => {
         const row = document.createElement('tr');
         row.innerHTML = `
-            <td>${winner.name}</td>
-            <td>${winner.pattern}</td>
+            <td>${escapeHtml(winner.name)}</td>
+            <td>${winner.stage !== null ? `Stage ${winner.stage + 1}: ` : ''}${winner.pattern}</td>
             <td>${formatCurrency(winner.amount)}</td>
             <td>${new Date(winner.timestamp).toLocaleTimeString()}</td>
         `;
@@ -419,6 +830,7 @@ function updateStatsDisplay() {
         'totalPayments': formatCurrency(stats.totalPayments),
         'totalWins': formatCurrency(stats.totalWins),
         'totalWithdrawals': formatCurrency(stats.totalWithdrawals),
+        'houseBalance': formatCurrency(stats.houseBalance || 0),
         'activePlayers': adminState.players.filter(p => p.balance > 0).length,
         'totalGames': adminState.winners.length
     };
@@ -433,35 +845,60 @@ function updateStatsDisplay() {
 
 // Send message function
 export function sendMessage(message) {
-    if (!socket || socket.readyState !== WebSocket.OPEN) {
+    if (!transport.isConnected()) {
         console.error('Cannot send message: WebSocket not connected');
         showNotification('Not connected to server', true);
         return false;
     }
     
-    try {
-        socket.send(JSON.stringify(message));
-        console.log('Sent WebSocket message:', message.type);
-        return true;
-    } catch (error) {
-        console.error('Error sending WebSocket message:', error);
+    const action = getMessageAction(message);
+    if (action && !hasPermission(action)) {
+        showNotification(`Your role (${adminState.role}) cannot use ${action}`, true);
+        return false;
+    }
+    
+    // The server checks the token and role on every admin message
+    const payload = adminState.token && !message.token
+        ? { ...message, token: adminState.token }
+        : message;
+    
+    if (!transport.send(payload, false)) {
         showNotification('Failed to send message', true);
         return false;
     }
+    return true;
 }
 
 // Admin functions
-export function adminStartGame(roomId, gameType, stake) {
+// options: { patterns, stages, progressive, split }
+export function adminStartGame(roomId, gameType, stake, options = {}) {
+    const { patterns = [], stages = [], progressive = false, split } = options;
+    
+    roomId = roomId || adminState.roomId;
     if (!roomId) {
-        roomId = adminState.roomId || `room_${Date.now()}`;
-        adminState.roomId = roomId;
+        showNotification('Select or create a room first', true);
+        return;
     }
     
+    // Players in a lobby room already hold cards for its type and stake
+    const room = adminState.rooms.find(r => r.id === roomId);
+    if (room && room.playerCount > 0) {
+        gameType = room.gameType;
+        stake = room.stake;
+    }
+    
+    // Pattern bingo plays the library patterns picked for this game, or the
+    // stages in order when any are given. Progressive games award the game
+    // type's prizes (e.g. line, two lines, full house) one after another.
     const success = sendMessage({
         type: 'start_game',
         roomId: roomId,
         gameType: gameType || '75ball',
-        stake: stake || 25
+        stake: stake || 25,
+        patterns: gameType === 'pattern' ? patterns : undefined,
+        stages: gameType === 'pattern' && stages.length > 0 ? stages : undefined,
+        progressive: progressive || undefined,
+        split: split || undefined
     });
     
     if (success) {
@@ -469,7 +906,8 @@ export function adminStartGame(roomId, gameType, stake) {
     }
 }
 
-export function adminCallNumber(roomId, number = null) {
+// The server draws the number from its committed sequence
+export function adminCallNumber(roomId) {
     if (!roomId) {
         roomId = adminState.roomId;
         if (!roomId) {
@@ -478,31 +916,33 @@ export function adminCallNumber(roomId, number = null) {
         }
     }
     
-    if (!number) {
-        // Generate random number based on game type
-        const gameType = adminState.gameType || '75ball';
-        let maxNumber = 75;
-        if (gameType === '90ball') maxNumber = 90;
-        else if (gameType === '30ball') maxNumber = 30;
-        else if (gameType === '50ball') maxNumber = 50;
-        
-        // Generate number not already called
-        let newNumber;
-        do {
-            newNumber = Math.floor(Math.random() * maxNumber) + 1;
-        } while (adminState.calledNumbers.includes(newNumber));
-        
-        number = newNumber;
+    const success = sendMessage({
+        type: 'number_called',
+        roomId: roomId
+    });
+    
+    if (success) {
+        showNotification('Calling next number...', false);
+    }
+}
+
+export function adminEndGame(roomId) {
+    roomId = roomId || adminState.roomId;
+    if (!roomId) {
+        showNotification('No active room', true);
+        return;
     }
     
     const success = sendMessage({
-        type: 'number_called',
-        roomId: roomId,
-        number: number
+        type: 'admin_command',
+        command: 'end_game',
+        data: {
+            roomId: roomId
+        }
     });
     
     if (success) {
-        showNotification(`Called number: ${number}`, false);
+        showNotification('Ending game...', false);
     }
 }
 
@@ -517,17 +957,14 @@ export function adminAnnounceWin(playerId, pattern, amount) {
         pattern = 'full-house';
     }
     
-    if (!amount) {
-        amount = player.stake * 10; // Default win amount
-    }
-    
     const success = sendMessage({
         type: 'admin_command',
         command: 'announce_win',
         data: {
             playerId: playerId,
             pattern: pattern,
-            amount: amount
+            // Without an amount the server pays the pattern's share of the pool
+            amount: amount || undefined
         }
     });
     
@@ -573,6 +1010,28 @@ export function adminKickPlayer(playerId) {
     }
 }
 
+// Muted players keep playing but cannot chat
+export function adminMutePlayer(playerId, muted = true) {
+    return sendMessage({
+        type: 'admin_command',
+        command: 'mute_player',
+        data: {
+            playerId: playerId,
+            muted: muted
+        }
+    });
+}
+
+function handlePlayerMuted(message) {
+    const player = adminState.players.find(p => p.id === message.playerId);
+    if (player) {
+        player.muted = message.muted;
+        updatePlayerList();
+    }
+    
+    showNotification(`${message.name || message.playerId} ${message.muted ? 'muted' : 'unmuted'}`, false);
+}
+
 export function adminGetStats() {
     const success = sendMessage({
         type: 'admin_command',
@@ -622,6 +1081,552 @@ export function adminSendChat(message) {
     }
 }
 
+// ===== ADMIN ACCOUNTS =====
+
+// Roles an owner can give an account (see server/roles.js)
+const ADMIN_ROLE_NAMES = ['owner', 'caller', 'cashier', 'moderator'];
+
+export function adminListAdmins() {
+    return sendMessage({
+        type: 'admin_command',
+        command: 'list_admins'
+    });
+}
+
+// Create an account, or change its role and/or password (leave either empty)
+export function adminSaveAdmin(username, role, password = null) {
+    return sendMessage({
+        type: 'admin_command',
+        command: 'save_admin',
+        data: {
+            username: username,
+            role: role || undefined,
+            password: password || undefined
+        }
+    });
+}
+
+export function adminDeleteAdmin(username) {
+    if (!window.confirm(`Delete admin account ${username}?`)) return false;
+    
+    return sendMessage({
+        type: 'admin_command',
+        command: 'delete_admin',
+        data: { username: username }
+    });
+}
+
+function handleAdminSaved(message) {
+    const index = adminState.admins.findIndex(admin => admin.username === message.admin.username);
+    if (index === -1) {
+        adminState.admins.push(message.admin);
+    } else {
+        adminState.admins[index] = message.admin;
+    }
+    updateAdminAccounts();
+    
+    // Our own role changed: a fresh token brings the new list of actions
+    if (message.admin.username === adminState.username) {
+        sendMessage({ type: 'admin_refresh' });
+    }
+}
+
+function updateAdminAccounts() {
+    const listElement = document.getElementById('adminAccountList');
+    if (!listElement) return;
+    
+    listElement.innerHTML = '';
+    
+    adminState.admins.forEach(admin => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${admin.username}</td>
+            <td>
+                <select onchange="adminSaveAdmin('${admin.username}', this.value)">
+                    ${ADMIN_ROLE_NAMES.map(role => `<option value="${role}" ${role === admin.role ? 'selected' : ''}>${role}</option>`).join('')}
+                </select>
+            </td>
+            <td>${new Date(admin.updatedAt).toLocaleString()}</td>
+            <td>
+                ${admin.username === adminState.username ? '' : `<button onclick="adminDeleteAdmin('${admin.username}')" class="btn-danger">Delete</button>`}
+            </td>
+        `;
+        listElement.appendChild(row);
+    });
+}
+
+// ===== ROOMS =====
+
+export function adminGetLobby() {
+    return sendMessage({ type: 'get_lobby' });
+}
+
+// startsAt is a timestamp shown to players as the planned start (optional)
+export function adminCreateRoom(name, gameType, stake, startsAt = null) {
+    return sendMessage({
+        type: 'admin_command',
+        command: 'create_room',
+        data: {
+            name: name,
+            gameType: gameType,
+            stake: stake,
+            startsAt: startsAt || undefined
+        }
+    });
+}
+
+// Players get back what they paid for cards not yet played
+export function adminCloseRoom(roomId = adminState.roomId) {
+    if (!roomId) {
+        showNotification('No room selected', true);
+        return false;
+    }
+    
+    if (!window.confirm(`Close room ${roomId}? Players are refunded and sent back to the lobby.`)) return false;
+    
+    return sendMessage({
+        type: 'admin_command',
+        command: 'close_room',
+        data: { roomId: roomId }
+    });
+}
+
+function handleRoomUpdated(message) {
+    const index = adminState.rooms.findIndex(room => room.id === message.room.id);
+    if (index === -1) {
+        adminState.rooms.push(message.room);
+    } else {
+        adminState.rooms[index] = message.room;
+    }
+    updateRoomList();
+}
+
+function handleRoomClosed(message) {
+    adminState.rooms = adminState.rooms.filter(room => room.id !== message.roomId);
+    if (adminState.roomId === message.roomId) {
+        adminState.roomId = null;
+        clearGameView();
+    }
+    updateRoomList();
+    showNotification(`Room ${message.roomId} closed`, false);
+}
+
+// Room picker and the table of rooms running side by side
+function updateRoomList() {
+    const roomSelect = document.getElementById('roomSelect');
+    if (roomSelect) {
+        roomSelect.innerHTML = '<option value="">Select a room</option>' + adminState.rooms.map(room => `
+            <option value="${escapeHtml(room.id)}" ${room.id === adminState.roomId ? 'selected' : ''}>
+                ${escapeHtml(room.name || room.id)} (${room.gameType}, ${room.stake} ETB)
+            </option>
+        `).join('');
+    }
+    
+    const listElement = document.getElementById('roomList');
+    if (!listElement) return;
+    
+    listElement.innerHTML = '';
+    
+    adminState.rooms.forEach(room => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(room.name || room.id)}</td>
+            <td>${room.gameType}</td>
+            <td>${formatCurrency(room.stake)}</td>
+            <td>${room.playerCount}</td>
+            <td>${formatCurrency(room.pot)}</td>
+            <td>${room.startsAt ? new Date(room.startsAt).toLocaleString() : '-'}</td>
+            <td>${room.gameActive ? `Playing (${room.callCount} calls)` : 'Open'}</td>
+            <td>
+                ${room.gameActive || !hasPermission('close_room') ? '' : `<button onclick="adminCloseRoom('${room.id}')" class="btn-danger">Close</button>`}
+            </td>
+        `;
+        listElement.appendChild(row);
+    });
+}
+
+// ===== SCHEDULED GAMES =====
+
+export function adminListSchedules() {
+    return sendMessage({
+        type: 'admin_command',
+        command: 'list_schedules'
+    });
+}
+
+// repeat is 'once' (at startsAt), 'interval' (every everyMinutes from startsAt)
+// or 'daily' (at time "HH:MM"). The server opens a lobby room for each game and
+// starts it on time, or cancels and refunds it with fewer than minPlayers.
+export function adminCreateSchedule(schedule) {
+    return sendMessage({
+        type: 'admin_command',
+        command: 'create_schedule',
+        data: schedule
+    });
+}
+
+export function adminDeleteSchedule(scheduleId) {
+    if (!window.confirm(`Delete schedule ${scheduleId}? A game that has not started yet is cancelled and refunded.`)) return false;
+    
+    return sendMessage({
+        type: 'admin_command',
+        command: 'delete_schedule',
+        data: { scheduleId: scheduleId }
+    });
+}
+
+// Form fields of the schedule panel; empty fields fall back to server defaults
+function readScheduleForm() {
+    const value = id => document.getElementById(id)?.value.trim() || undefined;
+    const startsAt = value('scheduleStartsAtInput');
+    
+    return {
+        name: value('scheduleNameInput'),
+        gameType: value('scheduleGameTypeSelect') || '75ball',
+        stake: value('scheduleStakeInput') || 25,
+        repeat: value('scheduleRepeatSelect') || 'once',
+        startsAt: startsAt ? new Date(startsAt).getTime() : undefined,
+        everyMinutes: value('scheduleEveryInput'),
+        time: value('scheduleTimeInput'),
+        minPlayers: value('scheduleMinPlayersInput'),
+        buyInCloseSeconds: value('scheduleBuyInInput')
+    };
+}
+
+function handleScheduleSaved(message) {
+    adminState.schedules = adminState.schedules
+        .filter(schedule => schedule.id !== message.schedule.id)
+        .concat(message.schedule)
+        .sort((a, b) => a.nextAt - b.nextAt);
+    updateScheduleList();
+    showNotification(`Schedule ${message.schedule.name || message.schedule.id} saved`, false);
+}
+
+function describeRepeat(schedule) {
+    if (schedule.repeat === 'interval') return `Every ${schedule.everyMinutes} min`;
+    if (schedule.repeat === 'daily') return `Daily at ${schedule.time}`;
+    return 'Once';
+}
+
+function updateScheduleList() {
+    const listElement = document.getElementById('scheduleList');
+    if (!listElement) return;
+    
+    listElement.innerHTML = '';
+    
+    adminState.schedules.forEach(schedule => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(schedule.name || schedule.id)}</td>
+            <td>${schedule.gameType}</td>
+            <td>${formatCurrency(schedule.stake)}</td>
+            <td>${describeRepeat(schedule)}</td>
+            <td>${new Date(schedule.nextAt).toLocaleString()}</td>
+            <td>${schedule.minPlayers}</td>
+            <td>${schedule.buyInCloseSeconds}s before</td>
+            <td>
+                ${hasPermission('delete_schedule') ? `<button onclick="adminDeleteSchedule('${schedule.id}')" class="btn-danger">Delete</button>` : ''}
+            </td>
+        `;
+        listElement.appendChild(row);
+    });
+}
+
+// ===== AUDIT LOG =====
+
+// Filters from the audit panel; dates cover whole days
+function readAuditFilters() {
+    const value = id => document.getElementById(id)?.value.trim() || undefined;
+    const from = value('auditFromFilter');
+    const to = value('auditToFilter');
+    
+    return {
+        action: value('auditActionFilter'),
+        actor: value('auditActorFilter'),
+        roomId: value('auditRoomFilter'),
+        playerId: value('auditPlayerFilter'),
+        from: from ? new Date(`${from}T00:00:00`).getTime() : undefined,
+        to: to ? new Date(`${to}T23:59:59.999`).getTime() : undefined
+    };
+}
+
+export function adminListAudit(filters = readAuditFilters()) {
+    return sendMessage({
+        type: 'admin_command',
+        command: 'list_audit',
+        data: filters
+    });
+}
+
+// The server sends every matching entry; the file is built here
+export function adminExportAudit(format = 'csv', filters = readAuditFilters()) {
+    return sendMessage({
+        type: 'admin_command',
+        command: 'export_audit',
+        data: { ...filters, format: format }
+    });
+}
+
+function updateAuditLog() {
+    const listElement = document.getElementById('auditLogList');
+    if (!listElement) return;
+    
+    listElement.innerHTML = '';
+    
+    adminState.auditLog.forEach(entry => {
+        const row = document.createElement('tr');
+        row.className = entry.outcome === 'ok' ? '' : 'audit-refused';
+        row.innerHTML = `
+            <td>${new Date(entry.timestamp).toLocaleString()}</td>
+            <td>${escapeHtml(entry.actor)}${entry.role ? `<br><small>${escapeHtml(entry.role)}</small>` : ''}</td>
+            <td>${escapeHtml(entry.action)}</td>
+            <td>${escapeHtml(entry.roomId || '')}</td>
+            <td>${escapeHtml(entry.playerId || '')}</td>
+            <td><small>${escapeHtml(JSON.stringify(entry.params))}</small></td>
+            <td>${escapeHtml(entry.outcome)}</td>
+        `;
+        listElement.appendChild(row);
+    });
+}
+
+const AUDIT_CSV_COLUMNS = ['id', 'timestamp', 'actor', 'role', 'action', 'roomId', 'playerId', 'outcome', 'params'];
+
+// Player IDs, names and params are user-controlled: a cell starting with
+// = + - @ (or a tab/CR) would run as a spreadsheet formula, so it gets a '
+function auditToCsv(entries) {
+    const quote = value => {
+        const text = String(value ?? '');
+        const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+        return `"${safe.replace(/"/g, '""')}"`;
+    };
+    const rows = entries.map(entry => AUDIT_CSV_COLUMNS.map(column => {
+        if (column === 'timestamp') return quote(new Date(entry.timestamp).toISOString());
+        if (column === 'params') return quote(JSON.stringify(entry.params));
+        return quote(entry[column]);
+    }).join(','));
+    
+    return [AUDIT_CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+function downloadAuditExport(message) {
+    const json = message.format === 'json';
+    const content = json ? JSON.stringify(message.entries, null, 2) : auditToCsv(message.entries);
+    const blob = new Blob([content], { type: json ? 'application/json' : 'text/csv' });
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `audit-${new Date().toISOString().slice(0, 10)}.${message.format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    
+    showNotification(`Exported ${message.entries.length} audit entries`, false);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ===== WITHDRAWALS =====
+
+// Button labels for the statuses a request can move to
+const WITHDRAWAL_ACTIONS = {
+    approved: 'Approve',
+    rejected: 'Reject',
+    paid: 'Mark paid'
+};
+
+export function adminListWithdrawals(status = null) {
+    return sendMessage({
+        type: 'admin_command',
+        command: 'list_withdrawals',
+        data: { status: status }
+    });
+}
+
+// The note is kept in the request's history and shown to the player
+export function adminUpdateWithdrawal(requestId, status, note = null) {
+    if (note === null) {
+        note = window.prompt(`${WITHDRAWAL_ACTIONS[status] || status} ${requestId} — note (optional):`, '');
+        if (note === null) return false;
+    }
+    
+    return sendMessage({
+        type: 'admin_command',
+        command: 'update_withdrawal',
+        data: {
+            requestId: requestId,
+            status: status,
+            note: note
+        }
+    });
+}
+
+// Pay an approved request through the payment provider instead of by hand
+export function adminSendPayout(requestId, provider = null) {
+    return sendMessage({
+        type: 'admin_command',
+        command: 'send_payout',
+        data: {
+            requestId: requestId,
+            provider: provider || undefined
+        }
+    });
+}
+
+// ===== PATTERN LIBRARY =====
+
+export function adminListPatterns() {
+    return sendMessage({
+        type: 'admin_command',
+        command: 'list_patterns'
+    });
+}
+
+// Validated here first so the admin sees mistakes before the round trip
+export function adminSavePattern(definition) {
+    let pattern;
+    try {
+        pattern = validatePatternDefinition(definition);
+    } catch (error) {
+        showNotification(error.message, true);
+        return false;
+    }
+    
+    return sendMessage({
+        type: 'admin_command',
+        command: 'save_pattern',
+        data: { pattern: pattern }
+    });
+}
+
+export function adminDeletePattern(id) {
+    return sendMessage({
+        type: 'admin_command',
+        command: 'delete_pattern',
+        data: { id: id }
+    });
+}
+
+// 5×5 grid the admin clicks to draw a pattern
+function setupPatternEditor() {
+    const grid = document.getElementById('patternEditorGrid');
+    if (!grid) return;
+    
+    const size = GAME_CONFIG.patternGridSize;
+    grid.innerHTML = '';
+    grid.style.display = 'grid';
+    grid.style.gridTemplateColumns = `repeat(${size}, 1fr)`;
+    
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            const position = `${row}-${col}`;
+            const cell = document.createElement('button');
+            cell.className = 'pattern-editor-cell';
+            cell.dataset.position = position;
+            cell.addEventListener('click', () => {
+                if (adminState.editorCells.has(position)) {
+                    adminState.editorCells.delete(position);
+                } else {
+                    adminState.editorCells.add(position);
+                }
+                cell.classList.toggle('selected', adminState.editorCells.has(position));
+            });
+            grid.appendChild(cell);
+        }
+    }
+    
+    const saveBtn = document.getElementById('savePatternBtn');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', () => {
+            adminSavePattern({
+                id: document.getElementById('patternId')?.value,
+                name: {
+                    am: document.getElementById('patternNameAm')?.value,
+                    en: document.getElementById('patternNameEn')?.value
+                },
+                cells: Array.from(adminState.editorCells),
+                multiplier: document.getElementById('patternMultiplier')?.value
+            });
+        });
+    }
+    
+    const clearBtn = document.getElementById('clearPatternBtn');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', clearPatternEditor);
+    }
+}
+
+// Load a saved pattern into the editor (built-ins are copied under a new ID)
+function editPattern(id) {
+    const pattern = adminState.patterns.find(p => p.id === id);
+    if (!pattern) return;
+    
+    adminState.editorCells = new Set(pattern.cells);
+    document.querySelectorAll('.pattern-editor-cell').forEach(cell => {
+        cell.classList.toggle('selected', adminState.editorCells.has(cell.dataset.position));
+    });
+    
+    const fields = {
+        patternId: pattern.builtIn ? '' : pattern.id,
+        patternNameAm: pattern.name.am,
+        patternNameEn: pattern.builtIn ? `${pattern.name.en} copy` : pattern.name.en,
+        patternMultiplier: pattern.multiplier
+    };
+    Object.entries(fields).forEach(([elementId, value]) => {
+        const input = document.getElementById(elementId);
+        if (input) input.value = value;
+    });
+}
+
+function clearPatternEditor() {
+    adminState.editorCells.clear();
+    document.querySelectorAll('.pattern-editor-cell.selected').forEach(cell => {
+        cell.classList.remove('selected');
+    });
+    ['patternId', 'patternNameAm', 'patternNameEn', 'patternMultiplier'].forEach(elementId => {
+        const input = document.getElementById(elementId);
+        if (input) input.value = '';
+    });
+}
+
+function updatePatternLibrary() {
+    const libraryElement = document.getElementById('patternLibrary');
+    if (libraryElement) {
+        libraryElement.innerHTML = '';
+        
+        adminState.patterns.forEach(pattern => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${escapeHtml(pattern.name.am)}</td>
+                <td>${escapeHtml(pattern.name.en)}</td>
+                <td>${pattern.cells.length}</td>
+                <td>×${pattern.multiplier}</td>
+                <td>
+                    ${hasPermission('save_pattern') ? `<button onclick="adminEditPattern('${pattern.id}')">Edit</button>` : ''}
+                    ${pattern.builtIn || !hasPermission('delete_pattern') ? '' : `<button onclick="adminDeletePattern('${pattern.id}')" class="btn-danger">Delete</button>`}
+                </td>
+            `;
+            libraryElement.appendChild(row);
+        });
+    }
+    
+    // Patterns offered in the start-game flow
+    const select = document.getElementById('gamePatternSelect');
+    if (select) {
+        const chosen = new Set(Array.from(select.selectedOptions).map(option => option.value));
+        select.innerHTML = adminState.patterns.map(pattern => `
+            <option value="${pattern.id}" ${chosen.has(pattern.id) ? 'selected' : ''}>
+                ${escapeHtml(pattern.name.am)} / ${escapeHtml(pattern.name.en)} (×${pattern.multiplier})
+            </option>
+        `).join('');
+    }
+}
+
 // Initialize admin interface
 export function initAdmin(adminToken = null) {
     // Check if already admin
@@ -629,8 +1634,10 @@ export function initAdmin(adminToken = null) {
         console.log('Already authenticated as admin');
     }
     
-    // Connect WebSocket
-    connectWebSocket(adminToken);
+    // Connect WebSocket unless adminLogin already did
+    if (!transport.isConnected()) {
+        connectWebSocket(adminToken);
+    }
     
     // Setup admin event listeners
     setupAdminEventListeners();
@@ -657,7 +1664,19 @@ function setupAdminEventListeners() {
         startGameBtn.addEventListener('click', () => {
             const gameType = document.getElementById('gameTypeSelect')?.value || '75ball';
             const stake = document.getElementById('stakeSelect')?.value || 25;
-            adminStartGame(null, gameType, stake);
+            const patternSelect = document.getElementById('gamePatternSelect');
+            const patterns = patternSelect
+                ? Array.from(patternSelect.selectedOptions).map(option => option.value)
+                : [];
+            // Stages are typed in order, e.g. "row, x-pattern, full-house"
+            const stages = (document.getElementById('gameStagesInput')?.value || '')
+                .split(',')
+                .map(id => id.trim())
+                .filter(Boolean);
+            const progressive = document.getElementById('progressiveCheckbox')?.checked || false;
+            // Shared prizes: 'equal' or 'cards'; empty keeps the server default
+            const split = document.getElementById('prizeSplitSelect')?.value || undefined;
+            adminStartGame(null, gameType, stake, { patterns, stages, progressive, split });
         });
     }
     
@@ -681,6 +1700,14 @@ function setupAdminEventListeners() {
         });
     }
     
+    // End game button
+    const endGameBtn = document.getElementById('endGameBtn');
+    if (endGameBtn) {
+        endGameBtn.addEventListener('click', () => {
+            adminEndGame();
+        });
+    }
+    
     // Refresh stats button
     const refreshStatsBtn = document.getElementById('refreshStatsBtn');
     if (refreshStatsBtn) {
@@ -715,6 +1742,34 @@ function setupAdminEventListeners() {
         });
     }
     
+    // Create room button
+    const createRoomBtn = document.getElementById('createRoomBtn');
+    if (createRoomBtn) {
+        createRoomBtn.addEventListener('click', () => {
+            const name = document.getElementById('roomNameInput')?.value.trim();
+            const gameType = document.getElementById('gameTypeSelect')?.value || '75ball';
+            const stake = document.getElementById('stakeSelect')?.value || 25;
+            const startsAt = document.getElementById('roomStartsAtInput')?.value;
+            adminCreateRoom(name, gameType, stake, startsAt ? new Date(startsAt).getTime() : null);
+        });
+    }
+    
+    // Create schedule button
+    const createScheduleBtn = document.getElementById('createScheduleBtn');
+    if (createScheduleBtn) {
+        createScheduleBtn.addEventListener('click', () => {
+            adminCreateSchedule(readScheduleForm());
+        });
+    }
+    
+    // Close room button
+    const closeRoomBtn = document.getElementById('closeRoomBtn');
+    if (closeRoomBtn) {
+        closeRoomBtn.addEventListener('click', () => {
+            adminCloseRoom();
+        });
+    }
+    
     // Room selection
     const roomSelect = document.getElementById('roomSelect');
     if (roomSelect) {
@@ -726,19 +1781,70 @@ function setupAdminEventListeners() {
         });
     }
     
+    // Withdrawal queue filter
+    const withdrawalStatusFilter = document.getElementById('withdrawalStatusFilter');
+    if (withdrawalStatusFilter) {
+        withdrawalStatusFilter.addEventListener('change', updateWithdrawalQueue);
+    }
+    
+    // Audit log filters and exports
+    const auditFilterBtn = document.getElementById('auditFilterBtn');
+    if (auditFilterBtn) {
+        auditFilterBtn.addEventListener('click', () => {
+            adminListAudit();
+        });
+    }
+    
+    const exportAuditCsvBtn = document.getElementById('exportAuditCsvBtn');
+    if (exportAuditCsvBtn) {
+        exportAuditCsvBtn.addEventListener('click', () => {
+            adminExportAudit('csv');
+        });
+    }
+    
+    const exportAuditJsonBtn = document.getElementById('exportAuditJsonBtn');
+    if (exportAuditJsonBtn) {
+        exportAuditJsonBtn.addEventListener('click', () => {
+            adminExportAudit('json');
+        });
+    }
+    
+    setupPatternEditor();
+    
     // Export window functions
     window.adminStartGame = adminStartGame;
     window.adminCallNumber = adminCallNumber;
+    window.adminEndGame = adminEndGame;
     window.adminBroadcast = adminBroadcast;
     window.adminKickPlayer = adminKickPlayer;
     window.adminGetStats = adminGetStats;
     window.adminGetPlayers = adminGetPlayers;
     window.adminAnnounceWin = adminAnnounceWin;
+    window.adminEditPattern = editPattern;
+    window.adminDeletePattern = adminDeletePattern;
+    window.adminUpdateWithdrawal = adminUpdateWithdrawal;
+    window.adminSendPayout = adminSendPayout;
+    window.adminLogout = adminLogout;
+    window.adminMutePlayer = adminMutePlayer;
+    window.adminCloseRoom = adminCloseRoom;
+    window.adminDeleteSchedule = adminDeleteSchedule;
+    window.adminSaveAdmin = adminSaveAdmin;
+    window.adminDeleteAdmin = adminDeleteAdmin;
     window.resetGame = resetGame;
 }
 
-// Reset game function
+// Reset game function; the server records the reset in the audit log
 export function resetGame() {
+    sendMessage({
+        type: 'admin_command',
+        command: 'reset_game',
+        data: { roomId: adminState.roomId }
+    });
+    
+    clearGameView();
+}
+
+function clearGameView() {
     adminState.calledNumbers = [];
     adminState.winners = [];
     adminState.gameActive = false;
@@ -759,8 +1865,6 @@ export function resetGame() {
         gameStatusElement.textContent = 'Inactive';
         gameStatusElement.className = 'status-inactive';
     }
-    
-    showNotification('Game reset', false);
 }
 
 // Export connection status
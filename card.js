@@ -0,0 +1,298 @@
+// card.js - Bingo card model shared by the client and the server
+//
+// A card is a plain JSON-safe object: grid[row][col] holds a number, or null
+// for a blank (90-ball style) or free cell. Free cells are listed in `free` as
+// "row-col". Cards are derived from (gameType, boardId, seed), so "ቦርድ 7" is
+// the same card on every device and the server can rebuild any player's card.
+//
+// 90-ball boards are dealt in strips of six UK tickets: boards 1-6 are strip 1,
+// 7-12 strip 2 and so on, and each strip holds every number 1-90 exactly once.
+import { GAME_CONFIG } from './rules.js';
+import { createRandom, randomInt, seededShuffle } from './random.js';
+
+const CARD_FORMAT_VERSION = 1;
+
+// Game types whose center square is a free space
+const FREE_CENTER_TYPES = ['75ball', '50ball', 'pattern'];
+
+// Column ranges for the BINGO-style cards
+const COLUMN_RANGES = {
+    '75ball': [[1, 15], [16, 30], [31, 45], [46, 60], [61, 75]],
+    '50ball': [[1, 10], [11, 20], [21, 30], [31, 40], [41, 50]],
+    'pattern': [[1, 15], [16, 30], [31, 45], [46, 60], [61, 75]]
+};
+
+// UK 90-ball columns: 1-9, 10-19, ..., 80-90
+const NINETY_BALL_COLUMNS = [[1, 9], [10, 19], [20, 29], [30, 39], [40, 49], [50, 59], [60, 69], [70, 79], [80, 90]];
+const NUMBERS_PER_ROW = 5;
+
+// Create the card for a game type and board number
+export function createCard(gameType, boardId, seed = GAME_CONFIG.cardSeed) {
+    const type = GAME_CONFIG.boardTypes.find(t => t.id === gameType);
+    if (!type) {
+        throw new Error(`Unknown game type: ${gameType}`);
+    }
+
+    const board = parseInt(boardId);
+    if (!Number.isInteger(board) || board < 1 || board > GAME_CONFIG.boardCount) {
+        throw new Error(`Board must be between 1 and ${GAME_CONFIG.boardCount}`);
+    }
+
+    const random = gameType === '90ball'
+        ? createRandom(`strip:${getStripId(board)}:${seed}`)
+        : createRandom(`card:${gameType}:${board}:${seed}`);
+
+    let grid;
+    switch (gameType) {
+        case '90ball':
+            grid = generateStrip(random)[(board - 1) % GAME_CONFIG.stripSize];
+            break;
+        case '30ball':
+            grid = generate30BallGrid(random);
+            break;
+        case 'coverall':
+            grid = generateCoverallGrid(random);
+            break;
+        default:
+            grid = generateBingoGrid(COLUMN_RANGES[gameType], random);
+    }
+
+    const free = [];
+    if (FREE_CENTER_TYPES.includes(gameType)) {
+        grid[2][2] = null;
+        free.push('2-2');
+    }
+
+    return {
+        id: `${gameType}:${board}`,
+        gameType,
+        boardId: board,
+        seed,
+        rows: grid.length,
+        columns: grid[0].length,
+        grid,
+        free
+    };
+}
+
+// The six 90-ball tickets of a strip, in board order
+export function createStrip(stripId, seed = GAME_CONFIG.cardSeed) {
+    return getStripBoards(stripId).map(boardId => createCard('90ball', boardId, seed));
+}
+
+// Strip a 90-ball board belongs to
+export function getStripId(boardId) {
+    return Math.ceil(parseInt(boardId) / GAME_CONFIG.stripSize);
+}
+
+// Board numbers of a strip; throws when the strip runs past the last board
+export function getStripBoards(stripId) {
+    const strip = parseInt(stripId);
+    if (!Number.isInteger(strip) || strip < 1 || strip > getStripCount()) {
+        throw new Error(`Strip must be between 1 and ${getStripCount()}`);
+    }
+
+    const first = (strip - 1) * GAME_CONFIG.stripSize + 1;
+    return Array.from({ length: GAME_CONFIG.stripSize }, (_, i) => first + i);
+}
+
+// Only complete strips can be sold as a strip
+export function getStripCount() {
+    return Math.floor(GAME_CONFIG.boardCount / GAME_CONFIG.stripSize);
+}
+
+// ===== GENERATORS =====
+
+// 5×5 card with five numbers per column range (75/50 ball, pattern)
+function generateBingoGrid(columnRanges, random) {
+    const columnNumbers = columnRanges.map(range => pickSorted(range[0], range[1], 5, random));
+    return Array.from({ length: 5 }, (_, row) =>
+        Array.from({ length: 5 }, (_, col) => columnNumbers[col][row]));
+}
+
+// Six 9×3 tickets covering 1-90 once: 5 numbers per row, 15 per ticket,
+// every column used on every ticket, numbers ascending down each column
+function generateStrip(random) {
+    const counts = dealColumnCounts(random);
+    const columnNumbers = NINETY_BALL_COLUMNS.map(([min, max]) =>
+        seededShuffle(Array.from({ length: max - min + 1 }, (_, i) => min + i), random));
+
+    return counts.map(ticketCounts => {
+        const grid = Array.from({ length: 3 }, () => Array(9).fill(null));
+        const rows = layoutTicketRows(ticketCounts, random);
+
+        ticketCounts.forEach((count, col) => {
+            const nums = columnNumbers[col].splice(0, count).sort((a, b) => a - b);
+            rows[col].forEach((row, idx) => {
+                grid[row][col] = nums[idx];
+            });
+        });
+
+        return grid;
+    });
+}
+
+// How many numbers each ticket takes from each column. Every ticket starts with
+// one per column; the rest of each column goes to the tickets still short of 15.
+function dealColumnCounts(random) {
+    const tickets = GAME_CONFIG.stripSize;
+    const counts = Array.from({ length: tickets }, () => Array(9).fill(1));
+    const needed = Array(tickets).fill(15 - 9);
+
+    const columns = NINETY_BALL_COLUMNS
+        .map(([min, max], col) => ({ col, extra: max - min + 1 - tickets }))
+        .sort((a, b) => b.extra - a.extra);
+
+    columns.forEach(({ col, extra }) => {
+        for (let i = 0; i < extra; i++) {
+            const candidates = seededShuffle(Array.from({ length: tickets }, (_, t) => t), random)
+                .filter(t => needed[t] > 0 && counts[t][col] < 3)
+                .sort((a, b) => (needed[b] - counts[b][col]) - (needed[a] - counts[a][col]));
+
+            if (candidates.length === 0) {
+                throw new Error('Could not deal a 90-ball strip');
+            }
+
+            const ticket = candidates[0];
+            counts[ticket][col]++;
+            needed[ticket]--;
+        }
+    });
+
+    return counts;
+}
+
+// Pick the rows used in each column so every row ends up with five numbers.
+// Fuller columns go first, each into the rows with the most room left.
+function layoutTicketRows(ticketCounts, random) {
+    const room = Array(3).fill(NUMBERS_PER_ROW);
+    const rows = Array(9);
+
+    const order = seededShuffle(ticketCounts.map((count, col) => col), random)
+        .sort((a, b) => ticketCounts[b] - ticketCounts[a]);
+
+    order.forEach(col => {
+        const chosen = seededShuffle([0, 1, 2], random)
+            .sort((a, b) => room[b] - room[a])
+            .slice(0, ticketCounts[col]);
+
+        chosen.forEach(row => room[row]--);
+        rows[col] = chosen.sort((a, b) => a - b);
+    });
+
+    if (room.some(left => left !== 0)) {
+        throw new Error('Could not lay out a 90-ball ticket');
+    }
+
+    return rows;
+}
+
+// 3×3 card with nine numbers from 1–30
+function generate30BallGrid(random) {
+    const numbers = pickSorted(1, 30, 9, random);
+    return Array.from({ length: 3 }, (_, row) => numbers.slice(row * 3, row * 3 + 3));
+}
+
+// 9×5 card with 45 of the 90 numbers
+function generateCoverallGrid(random) {
+    const numbers = seededShuffle(Array.from({ length: 90 }, (_, i) => i + 1), random).slice(0, 45);
+    return Array.from({ length: 5 }, (_, row) => numbers.slice(row * 9, row * 9 + 9));
+}
+
+function pickSorted(min, max, count, random) {
+    const nums = new Set();
+    while (nums.size < count) {
+        nums.add(randomInt(random, min, max));
+    }
+    return Array.from(nums).sort((a, b) => a - b);
+}
+
+// ===== SERIALIZATION =====
+
+export function serializeCard(card) {
+    return JSON.stringify({
+        version: CARD_FORMAT_VERSION,
+        id: card.id,
+        gameType: card.gameType,
+        boardId: card.boardId,
+        seed: card.seed,
+        rows: card.rows,
+        columns: card.columns,
+        grid: card.grid,
+        free: card.free
+    });
+}
+
+// Parse a serialized card, rejecting anything that was not dealt from its seed
+export function parseCard(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if (!data || data.version !== CARD_FORMAT_VERSION) {
+        throw new Error('Unsupported card format');
+    }
+
+    const card = {
+        id: data.id,
+        gameType: data.gameType,
+        boardId: data.boardId,
+        seed: data.seed,
+        rows: data.rows,
+        columns: data.columns,
+        grid: data.grid,
+        free: data.free
+    };
+
+    if (!verifyCard(card)) {
+        throw new Error(`Card ${card.id} does not match board ${card.boardId}`);
+    }
+
+    return card;
+}
+
+// True when the card's numbers are exactly those dealt for its board and seed
+export function verifyCard(card) {
+    try {
+        const expected = createCard(card.gameType, card.boardId, card.seed);
+        return JSON.stringify(expected.grid) === JSON.stringify(card.grid) &&
+            JSON.stringify(expected.free) === JSON.stringify(card.free);
+    } catch (error) {
+        return false;
+    }
+}
+
+// ===== QUERIES =====
+
+// All numbers printed on the card
+export function getCardNumbers(card) {
+    return card.grid.flat().filter(number => number !== null);
+}
+
+// Positions with no number and no free space (never markable)
+export function getBlankPositions(card) {
+    const blanks = new Set();
+    card.grid.forEach((cells, row) => {
+        cells.forEach((number, col) => {
+            const position = `${row}-${col}`;
+            if (number === null && !card.free.includes(position)) {
+                blanks.add(position);
+            }
+        });
+    });
+    return blanks;
+}
+
+// Positions covered by the given numbers, free spaces included
+export function getMarkedPositions(card, numbers) {
+    const lookup = numbers instanceof Set ? numbers : new Set(numbers);
+    const marked = new Set(card.free);
+
+    card.grid.forEach((cells, row) => {
+        cells.forEach((number, col) => {
+            if (number !== null && lookup.has(number)) {
+                marked.add(`${row}-${col}`);
+            }
+        });
+    });
+
+    return marked;
+}
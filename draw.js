@@ -0,0 +1,70 @@
+// draw.js - Provably fair draw sequence shared by the client and the server
+//
+// At game start the server publishes sha256(seed|sequence) as a commitment and
+// keeps the seed secret. When the game ends it reveals the seed, and anyone can
+// rebuild the sequence and check both the hash and every number_called event.
+import { createRandom, seededShuffle } from './random.js';
+
+export const DRAW_ALGORITHM = 'sfc32-fisher-yates/sha256';
+
+// Full call order for a board range (30/50/75/90)
+export function buildDrawSequence(seed, range) {
+    const numbers = Array.from({ length: range }, (_, i) => i + 1);
+    return seededShuffle(numbers, createRandom(`draw:${seed}`));
+}
+
+// Exact string that is hashed for the commitment
+export function drawCommitmentPayload(seed, sequence) {
+    return `${seed}|${sequence.join(',')}`;
+}
+
+// SHA-256 hex digest using Web Crypto (browser and modern Node)
+export async function hashDraw(seed, sequence) {
+    const bytes = new TextEncoder().encode(drawCommitmentPayload(seed, sequence));
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+// Check a revealed draw against its commitment and the numbers that were called
+export async function verifyDraw({ seed, range, commitment, calledNumbers = [] }) {
+    if (!seed || !range || !commitment) {
+        return { valid: false, reason: 'Missing seed, range or commitment' };
+    }
+
+    const sequence = buildDrawSequence(seed, range);
+    const hash = await hashDraw(seed, sequence);
+
+    if (hash !== commitment) {
+        return { valid: false, reason: 'Seed does not match the published commitment' };
+    }
+
+    const mismatch = calledNumbers.findIndex((number, i) => number !== sequence[i]);
+    if (mismatch !== -1) {
+        return {
+            valid: false,
+            reason: `Call ${mismatch + 1} was ${calledNumbers[mismatch]}, expected ${sequence[mismatch]}`
+        };
+    }
+
+    return { valid: true, sequence };
+}
+
+// Check a finished game's revealed draw against what this client saw itself:
+// the commitment it stored before the first call and the numbers it was sent.
+// Without such a commitment the draw is unverifiable ({ verifiable: false }).
+export async function verifyReceivedDraw(revealed, commitment, receivedNumbers) {
+    if (!commitment) {
+        return { valid: false, verifiable: false, reason: 'No commitment was received before the first call' };
+    }
+
+    const result = await verifyDraw({
+        seed: revealed.seed,
+        range: revealed.range,
+        commitment,
+        calledNumbers: receivedNumbers
+    });
+    return { ...result, verifiable: true };
+}
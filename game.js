@@ -1,68 +1,19 @@
 import { showNotification, formatCurrency } from './utils.js';
-import { sendMessage } from './websocket.js';
-
-// Game configuration
-const GAME_CONFIG = {
-    boardTypes: [
-        { id: '75ball', name: '75-ቢንጎ', range: 75, columns: 5, rows: 5 },
-        { id: '90ball', name: '90-ቢንጎ', range: 90, columns: 9, rows: 3 },
-        { id: '30ball', name: '30-ቢንጎ', range: 30, columns: 3, rows: 3 },
-        { id: '50ball', name: '50-ቢንጎ', range: 50, columns: 5, rows: 5 },
-        { id: 'pattern', name: 'ንድፍ ቢንጎ', range: 75, columns: 5, rows: 5 },
-        { id: 'coverall', name: 'ሙሉ ቤት', range: 90, columns: 9, rows: 5 }
-    ],
-    
-    stakes: [25, 50, 100, 200, 500, 1000, 2000, 5000],
-    
-    winMultipliers: {
-        '75ball': {
-            'row': 1.5,
-            'column': 1.5,
-            'diagonal': 2,
-            'four-corners': 1.2,
-            'full-house': 3
-        },
-        '90ball': {
-            'one-line': 1.2,
-            'two-lines': 1.5,
-            'full-house': 2
-        },
-        '30ball': {
-            'full-house': 1.5
-        },
-        '50ball': {
-            'row': 1.5,
-            'column': 1.5,
-            'diagonal': 2,
-            'four-corners': 1.2,
-            'full-house': 2.5
-        },
-        'pattern': {
-            'x-pattern': 2,
-            'frame': 1.8,
-            'postage-stamp': 1.5,
-            'small-diamond': 1.3
-        },
-        'coverall': {
-            'full-board': 4
-        }
-    },
-    
-    patterns: {
-        'x-pattern': ['0-0', '0-4', '1-1', '1-3', '2-2', '3-1', '3-3', '4-0', '4-4'],
-        'frame': ['0-0', '0-1', '0-2', '0-3', '0-4', '4-0', '4-1', '4-2', '4-3', '4-4', 
-                  '1-0', '2-0', '3-0', '1-4', '2-4', '3-4'],
-        'postage-stamp': ['0-0', '0-1', '1-0', '1-1', '3-3', '3-4', '4-3', '4-4'],
-        'small-diamond': ['1-2', '2-1', '2-2', '2-3', '3-2']
-    }
-};
+import { sendMessage, addEventListener } from './websocket.js';
+import { GAME_CONFIG } from './rules.js';
+import { calculatePayouts, getPrize } from './payout.js';
+import { createCard, createStrip, getStripId, parseCard, serializeCard } from './card.js';
+import { checkPattern, countToGo, getDefaultPatterns, getPatternId } from './patterns.js';
 
 // Initialize game
 export function initGame() {
     setupBoardSelection();
     setupStakeOptions();
     setupBoardNumbers();
+    updateTicketOptions();
     setupEventListeners();
+    setupServerEvents();
+    setupAutoDaub();
 }
 
 // Setup board selection grid
@@ -85,6 +36,7 @@ function setupBoardSelection() {
                 c.classList.remove('selected'));
             card.classList.add('selected');
             window.gameState.gameType = card.dataset.type;
+            updateTicketOptions();
         });
     });
 }
@@ -135,9 +87,57 @@ function setupBoardNumbers() {
     if (!select) return;
     
     select.innerHTML = '<option value="">ይምረጡ</option>' +
-        Array.from({length: 100}, (_, i) => i + 1)
+        Array.from({length: GAME_CONFIG.boardCount}, (_, i) => i + 1)
             .map(num => `<option value="${num}">ቦርድ ${num}</option>`)
             .join('');
+    
+    // A board number always maps to the same card, so drop any card dealt for another one
+    select.addEventListener('change', () => {
+        window.gameState.boardId = parseInt(select.value) || null;
+        window.gameState.cards = [];
+    });
+    
+    const ticketSelect = document.getElementById('ticketMode');
+    if (ticketSelect) {
+        ticketSelect.addEventListener('change', () => {
+            window.gameState.strip = ticketSelect.value === 'strip';
+            window.gameState.cards = [];
+            updatePotentialWin();
+        });
+    }
+    
+    const countSelect = document.getElementById('cardCount');
+    if (countSelect) {
+        countSelect.innerHTML = Array.from({length: GAME_CONFIG.maxCardsPerPlayer}, (_, i) => i + 1)
+            .map(num => `<option value="${num}">${num} ካርድ</option>`)
+            .join('');
+        countSelect.addEventListener('change', () => {
+            window.gameState.cardCount = parseInt(countSelect.value) || 1;
+            window.gameState.cards = [];
+            updatePotentialWin();
+        });
+    }
+}
+
+// Every card costs one stake; a strip is six cards
+function getCardCount() {
+    return window.gameState.gameType === '90ball' && window.gameState.strip
+        ? GAME_CONFIG.stripSize
+        : window.gameState.cardCount || 1;
+}
+
+// 90-ball players can buy one ticket or the full strip of six
+function updateTicketOptions() {
+    const group = document.getElementById('ticketModeGroup');
+    if (!group) return;
+    
+    const is90Ball = window.gameState.gameType === '90ball';
+    group.style.display = is90Ball ? '' : 'none';
+    
+    if (!is90Ball) {
+        window.gameState.strip = false;
+        document.getElementById('ticketMode').value = 'single';
+    }
 }
 
 // Setup event listeners
@@ -173,6 +173,72 @@ function setupEventListeners() {
     }
 }
 
+// Listen for server messages that affect the board
+function setupServerEvents() {
+    // The server issues the cards it will verify claims against
+    addEventListener('room_joined', (message) => {
+        if (message.cards && message.cards.length > 0) {
+            window.gameState.cards = message.cards.map(card => parseCard(card));
+            window.gameState.cardMarks.clear();
+            window.gameState.boardId = window.gameState.cards[0].boardId;
+            localStorage.setItem('cards', JSON.stringify(window.gameState.cards.map(serializeCard)));
+        }
+        window.gameState.patterns = message.patterns || null;
+        window.gameState.stage = message.stage ?? null;
+        window.gameState.payouts = message.payouts || null;
+        updatePotentialWin();
+    });
+    
+    // Live prize pool while paid players join or leave before the start
+    addEventListener('payouts_updated', (message) => {
+        window.gameState.payouts = message.payouts;
+        updatePotentialWin();
+    });
+    
+    // Pattern games announce the patterns chosen by the admin
+    addEventListener('game_started', (message) => {
+        window.gameState.patterns = message.patterns || null;
+        window.gameState.stage = message.stage ?? null;
+        window.gameState.payouts = message.payouts || null;
+        updatePotentialWin();
+        highlightPatternCells();
+    });
+    
+    // In a staged game the target moves on once the current stage is won
+    addEventListener('stage_changed', (message) => {
+        window.gameState.stage = message.stage;
+        highlightPatternCells();
+        updateToGoIndicator();
+        const prize = window.gameState.payouts
+            ? ` - ${formatCurrency(getPrize(window.gameState.payouts, message.pattern))}`
+            : '';
+        showNotification(`ደረጃ ${message.stage + 1}: ${getPatternName(message.pattern.id)}${prize}`, false);
+    });
+    
+    addEventListener('number_called', (message) => {
+        if (!window.gameState.calledNumbers.includes(message.number)) {
+            window.gameState.calledNumbers.push(message.number);
+        }
+        daubNumber(message.number);
+    });
+    
+    addEventListener('win_confirmed', (message) => {
+        showWinnerNotification(message.pattern, message.amount);
+    });
+    
+    addEventListener('payment_pending', (message) => {
+        showNotification(message.instructions || `ክፍያ ${formatCurrency(message.payment.amount)} በመጠባበቅ ላይ`, false);
+    });
+    
+    addEventListener('payment_failed', (message) => {
+        showNotification(`ክፍያው አልተሳካም: ${message.reason || ''}`, true);
+    });
+    
+    addEventListener('win_rejected', (message) => {
+        showNotification(`ጥያቄዎ ውድቅ ሆኗል: ${message.reason || getPatternName(message.pattern)}`, true);
+    });
+}
+
 // Process payment
 export function processPayment() {
     const select = document.getElementById('paymentAmount');
@@ -190,36 +256,44 @@ export function processPayment() {
     select.style.background = '#28a745';
     select.style.color = 'white';
     
-    // Send payment info to server
-    sendMessage({
-        type: 'payment',
-        amount: amount,
-        playerId: window.gameState.playerId
-    });
+    // Before registration the amount is paid with the register message;
+    // afterwards it is a top-up. Either way the provider must confirm it.
+    if (window.gameState.playerId) {
+        sendMessage({
+            type: 'payment',
+            amount: amount,
+            phone: window.gameState.playerPhone,
+            playerId: window.gameState.playerId
+        });
+    }
 }
 
-// Update potential win display
+// Update potential win display: the room's live payouts once joined, else the
+// pool the cards being bought would make on their own
 export function updatePotentialWin() {
     const stakeSelect = document.getElementById('playerStake');
-    const stake = parseInt(stakeSelect.value) || 25;
+    const stake = parseInt(stakeSelect?.value) || window.gameState.stake || 25;
     
-    const potentialWin = calculatePotentialWin(stake);
+    const payouts = window.gameState.payouts || calculatePayouts({
+        gameType: window.gameState.gameType,
+        stake,
+        paidCards: getCardCount()
+    });
+    const potentialWin = Math.max(0, ...payouts.prizes.map(prize => prize.amount));
     const displayElement = document.getElementById('currentWinDisplay');
     
     if (displayElement) {
         displayElement.textContent = formatCurrency(potentialWin);
     }
     
+    const poolElement = document.getElementById('prizePoolDisplay');
+    if (poolElement) {
+        poolElement.textContent = `ሽልማት ገንዳ: ${formatCurrency(payouts.pool)}`;
+    }
+    
     window.gameState.stake = stake;
 }
 
-// Calculate potential win
-function calculatePotentialWin(stake) {
-    const validMembers = 90;
-    const potential = (0.8 * validMembers * stake * 0.97);
-    return Math.floor(potential);
-}
-
 // Confirm registration
 function confirmRegistration() {
     const nameInput = document.getElementById('playerName');
@@ -230,7 +304,7 @@ function confirmRegistration() {
     const name = nameInput.value.trim();
     const phone = phoneInput.value.trim();
     const stake = parseInt(stakeSelect.value) || 25;
-    const boardId = boardSelect.value || '1';
+    const boardId = parseInt(boardSelect.value) || 1;
     
     // Validate inputs
     if (!name || name.length < 2) {
@@ -250,11 +324,17 @@ function confirmRegistration() {
         return;
     }
     
+    if (window.gameState.payment < getCardCount() * stake) {
+        showNotification(`ክፍያው ለ${getCardCount()} ካርድ በቂ አይደለም`, true);
+        return;
+    }
+    
     // Update game state
     window.gameState.playerName = name;
     window.gameState.playerPhone = phone;
     window.gameState.stake = stake;
     window.gameState.boardId = boardId;
+    window.gameState.strip = window.gameState.gameType === '90ball' && window.gameState.strip;
     
     // Generate player ID
     window.gameState.playerId = generatePlayerId(name, phone);
@@ -267,6 +347,8 @@ function confirmRegistration() {
         phone: phone,
         stake: stake,
         boardId: boardId,
+        strip: window.gameState.strip,
+        cardCount: getCardCount(),
         gameType: window.gameState.gameType,
         payment: window.gameState.payment
     });
@@ -299,37 +381,68 @@ export function generateGameBoard() {
     }
     
     board.innerHTML = '';
-    header.textContent = `${type.name} - ቦርድ ${window.gameState.boardId}`;
-    
-    // Generate board based on type
-    switch(gameType) {
-        case '75ball':
-        case '50ball':
-            generateBingoBoard(type);
-            break;
-        case '90ball':
-            generate90BallBoard(type);
-            break;
-        case '30ball':
-            generate30BallBoard(type);
-            break;
-        case 'pattern':
-            generatePatternBoard(type);
-            break;
-        case 'coverall':
-            generateCoverallBoard(type);
-            break;
-        default:
-            generateBingoBoard(type);
+    
+    // Prefer the cards issued by the server; offline, deal the chosen board locally
+    const cards = window.gameState.cards || [];
+    if (cards.length === 0 || cards.some(card => card.gameType !== gameType)) {
+        window.gameState.cards = dealLocalCards(gameType, window.gameState.boardId || 1);
     }
     
+    const boardIds = window.gameState.cards.map(card => card.boardId);
+    if (gameType === '90ball' && window.gameState.strip) {
+        header.textContent = `${type.name} - ስትሪፕ ${getStripId(boardIds[0])} (ቦርድ ${boardIds[0]}-${boardIds[boardIds.length - 1]})`;
+    } else {
+        header.textContent = `${type.name} - ቦርድ ${boardIds.join(', ')}`;
+    }
+    
+    board.classList.toggle('multi-card', boardIds.length > 1 && gameType !== '90ball');
+    
+    window.gameState.cards.forEach(card => {
+        const container = document.createElement('div');
+        container.className = 'card-container';
+        container.dataset.cardId = card.id;
+        board.appendChild(container);
+        
+        // Generate board based on type
+        switch(gameType) {
+            case '75ball':
+            case '50ball':
+                generateBingoBoard(type, card, container);
+                break;
+            case '90ball':
+                generate90BallBoard(type, card, container);
+                break;
+            case '30ball':
+                generate30BallBoard(type, card, container);
+                break;
+            case 'pattern':
+                generatePatternBoard(type, card, container);
+                break;
+            case 'coverall':
+                generateCoverallBoard(type, card, container);
+                break;
+            default:
+                generateBingoBoard(type, card, container);
+        }
+    });
+    
     // Initialize board interactions
     setupBoardInteractions();
+    updateToGoIndicator();
+}
+
+// Deal the chosen board and the ones after it, or the whole strip when one was bought
+function dealLocalCards(gameType, boardId) {
+    if (gameType === '90ball' && window.gameState.strip) {
+        return createStrip(getStripId(boardId));
+    }
+    
+    const first = Math.min(boardId, GAME_CONFIG.boardCount - getCardCount() + 1);
+    return Array.from({length: getCardCount()}, (_, i) => createCard(gameType, first + i));
 }
 
 // Generate BINGO board (75/50 ball)
-function generateBingoBoard(type) {
-    const board = document.getElementById('gameBoard');
+function generateBingoBoard(type, card, board) {
     const wrapper = document.createElement('div');
     wrapper.className = 'board-75-wrapper';
     
@@ -348,21 +461,9 @@ function generateBingoBoard(type) {
     const grid = document.createElement('div');
     grid.className = type.id === '75ball' ? 'board-75' : 'board-50';
     
-    const columnRanges = type.id === '75ball' ? 
-        [[1,15], [16,30], [31,45], [46,60], [61,75]] :
-        [[1,10], [11,20], [21,30], [31,40], [41,50]];
-    
-    const columnNumbers = columnRanges.map(range => {
-        let nums = new Set();
-        while (nums.size < 5) {
-            nums.add(Math.floor(Math.random() * (range[1] - range[0] + 1)) + range[0]);
-        }
-        return Array.from(nums).sort((a, b) => a - b);
-    });
-    
     for (let row = 0; row < 5; row++) {
         for (let col = 0; col < 5; col++) {
-            const cell = createBoardCell(type, row, col, columnNumbers[col][row]);
+            const cell = createBoardCell(type, row, col, card.grid[row][col]);
             grid.appendChild(cell);
         }
     }
@@ -372,52 +473,28 @@ function generateBingoBoard(type) {
 }
 
 // Generate 90 Ball Board
-function generate90BallBoard(type) {
-    const board = document.getElementById('gameBoard');
+function generate90BallBoard(type, card, board) {
     const wrapper = document.createElement('div');
     wrapper.className = 'board-90-wrapper';
     
     // Column labels
     const labels = document.createElement('div');
     labels.className = 'board-90-labels';
-    for (let i = 1; i <= 9; i++) {
+    [[1, 9], [10, 19], [20, 29], [30, 39], [40, 49], [50, 59], [60, 69], [70, 79], [80, 90]].forEach(([min, max]) => {
         const label = document.createElement('div');
         label.className = 'board-90-label';
-        label.textContent = `${(i-1)*10+1}-${i*10}`;
+        label.textContent = `${min}-${max}`;
         labels.appendChild(label);
-    }
+    });
     wrapper.appendChild(labels);
     
     // Board Grid
     const grid = document.createElement('div');
     grid.className = 'board-90';
     
-    const ranges = [
-        [1,10], [11,20], [21,30], [31,40], [41,50],
-        [51,60], [61,70], [71,80], [81,90]
-    ];
-    
-    const columnNumbers = ranges.map(range => {
-        const count = Math.floor(Math.random() * 3) + 1;
-        let nums = new Set();
-        while (nums.size < count) {
-            nums.add(Math.floor(Math.random() * (range[1] - range[0] + 1)) + range[0]);
-        }
-        return Array.from(nums).sort((a, b) => a - b);
-    });
-    
-    const layout = Array(3).fill().map(() => Array(9).fill(null));
-    
-    columnNumbers.forEach((nums, col) => {
-        const positions = [0,1,2].sort(() => Math.random() - 0.5).slice(0, nums.length);
-        positions.forEach((row, idx) => {
-            layout[row][col] = nums[idx];
-        });
-    });
-    
     for (let row = 0; row < 3; row++) {
         for (let col = 0; col < 9; col++) {
-            const num = layout[row][col];
+            const num = card.grid[row][col];
             const cell = createBoardCell(type, row, col, num);
             
             if (!num) {
@@ -435,8 +512,7 @@ function generate90BallBoard(type) {
 }
 
 // Generate 30 Ball Board
-function generate30BallBoard(type) {
-    const board = document.getElementById('gameBoard');
+function generate30BallBoard(type, card, board) {
     const wrapper = document.createElement('div');
     wrapper.className = 'board-30-wrapper';
     
@@ -455,14 +531,10 @@ function generate30BallBoard(type) {
     const grid = document.createElement('div');
     grid.className = 'board-30';
     
-    let nums = new Set();
-    while (nums.size < 9) {
-        nums.add(Math.floor(Math.random() * 30) + 1);
-    }
-    const numbers = Array.from(nums).sort((a, b) => a - b);
-    
     for (let i = 0; i < 9; i++) {
-        const cell = createBoardCell(type, Math.floor(i/3), i%3, numbers[i]);
+        const row = Math.floor(i/3);
+        const col = i%3;
+        const cell = createBoardCell(type, row, col, card.grid[row][col]);
         grid.appendChild(cell);
     }
     
@@ -471,8 +543,7 @@ function generate30BallBoard(type) {
 }
 
 // Generate Pattern Board
-function generatePatternBoard(type) {
-    const board = document.getElementById('gameBoard');
+function generatePatternBoard(type, card, board) {
     const wrapper = document.createElement('div');
     wrapper.className = 'board-pattern-wrapper';
     
@@ -491,25 +562,14 @@ function generatePatternBoard(type) {
     const grid = document.createElement('div');
     grid.className = 'board-pattern';
     
-    const columnRanges = [[1,15], [16,30], [31,45], [46,60], [61,75]];
-    const columnNumbers = columnRanges.map(range => {
-        let nums = new Set();
-        while (nums.size < 5) {
-            nums.add(Math.floor(Math.random() * (range[1] - range[0] + 1)) + range[0]);
-        }
-        return Array.from(nums).sort((a, b) => a - b);
-    });
-    
-    // Select random pattern
-    const patternKeys = Object.keys(GAME_CONFIG.patterns);
-    const pattern = patternKeys[Math.floor(Math.random() * patternKeys.length)];
-    const patternCells = GAME_CONFIG.patterns[pattern];
+    // Highlight the first shape in play
+    const patternCells = getHighlightedCells();
     
     for (let row = 0; row < 5; row++) {
         for (let col = 0; col < 5; col++) {
-            const cell = createBoardCell(type, row, col, columnNumbers[col][row]);
+            const cell = createBoardCell(type, row, col, card.grid[row][col]);
             
-            if (patternCells.includes(`${row}-${col}`)) {
+            if (patternCells.has(`${row}-${col}`)) {
                 cell.classList.add('pattern-cell');
             }
             
@@ -522,8 +582,7 @@ function generatePatternBoard(type) {
 }
 
 // Generate Coverall Board
-function generateCoverallBoard(type) {
-    const board = document.getElementById('gameBoard');
+function generateCoverallBoard(type, card, board) {
     const wrapper = document.createElement('div');
     wrapper.className = 'board-coverall-wrapper';
     
@@ -542,13 +601,10 @@ function generateCoverallBoard(type) {
     const grid = document.createElement('div');
     grid.className = 'board-coverall';
     
-    let allNumbers = Array.from({length: 90}, (_, i) => i + 1);
-    allNumbers = shuffleArray(allNumbers).slice(0, 45);
-    
     for (let i = 0; i < 45; i++) {
         const row = Math.floor(i / 9);
         const col = i % 9;
-        const cell = createBoardCell(type, row, col, allNumbers[i]);
+        const cell = createBoardCell(type, row, col, card.grid[row][col]);
         grid.appendChild(cell);
     }
     
@@ -597,45 +653,133 @@ function createBoardCell(type, row, col, number) {
     return cell;
 }
 
-// Shuffle array
-function shuffleArray(array) {
-    const newArray = [...array];
-    for (let i = newArray.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [newArray[i], newArray[j]] = [newArray[j], newArray[i]];
-    }
-    return newArray;
-}
-
 // Setup board interactions
 function setupBoardInteractions() {
     // Mark/unmark numbers
     window.toggleMark = function(cell, number) {
         if (!window.gameState.gameActive) return;
         
+        const cardId = cell.closest('.card-container').dataset.cardId;
+        
         if (cell.classList.contains('marked')) {
             cell.classList.remove('marked');
-            window.gameState.markedNumbers.delete(number);
+            getCardMarks(cardId).delete(number);
         } else {
             cell.classList.add('marked');
-            window.gameState.markedNumbers.add(number);
+            getCardMarks(cardId).add(number);
             
             // Send mark to server
             sendMessage({
                 type: 'mark',
                 playerId: window.gameState.playerId,
+                cardId: cardId,
                 number: number,
                 marked: true
             });
         }
+        
+        updateToGoIndicator();
     };
 }
 
+// Marks are kept per card, since the same number can be on several cards
+function getCardMarks(cardId) {
+    if (!window.gameState.cardMarks.has(cardId)) {
+        window.gameState.cardMarks.set(cardId, new Set());
+    }
+    return window.gameState.cardMarks.get(cardId);
+}
+
+// ===== AUTO-DAUB =====
+
+// Opt-in toggle on the game page, remembered between visits
+function setupAutoDaub() {
+    const button = document.getElementById('autoDaubBtn');
+    if (!button) return;
+    
+    button.classList.toggle('active', window.gameState.autoDaub);
+    button.addEventListener('click', () => {
+        window.gameState.autoDaub = !window.gameState.autoDaub;
+        localStorage.setItem('autoDaub', window.gameState.autoDaub);
+        button.classList.toggle('active', window.gameState.autoDaub);
+        
+        // Catch up on numbers called before it was switched on
+        if (window.gameState.autoDaub) {
+            window.gameState.calledNumbers.forEach(number => daubNumber(number));
+        }
+    });
+}
+
+// Mark a called number on every card that has it (auto-daub only)
+export function daubNumber(number) {
+    if (!window.gameState.autoDaub) return false;
+    
+    const cells = Array.from(document.querySelectorAll(`.board-cell[data-number="${number}"]`))
+        .filter(cell => !cell.classList.contains('marked'));
+    if (cells.length === 0) return false;
+    
+    cells.forEach(cell => {
+        cell.classList.add('marked');
+        getCardMarks(cell.closest('.card-container').dataset.cardId).add(number);
+    });
+    
+    // No card ID: the server marks every card carrying the number
+    sendMessage({
+        type: 'mark',
+        playerId: window.gameState.playerId,
+        number: number,
+        marked: true
+    });
+    
+    updateToGoIndicator();
+    return true;
+}
+
+// Show how close the best card is to its nearest pattern
+export function updateToGoIndicator() {
+    const indicator = document.getElementById('toGoIndicator');
+    const patterns = getPlayedPatterns();
+    if (!indicator || patterns.length === 0) return;
+    
+    let closest = null;
+    (window.gameState.cards || []).forEach(card => {
+        const markedPositions = getMarkedPositions(card);
+        let cardBest = null;
+        
+        for (const pattern of patterns) {
+            const toGo = countToGo(pattern, markedPositions, card);
+            if (toGo !== null && (!cardBest || toGo < cardBest.toGo)) {
+                cardBest = { card, pattern: getPatternId(pattern), toGo };
+            }
+        }
+        
+        const container = document.querySelector(`.card-container[data-card-id="${card.id}"]`);
+        if (container) {
+            container.classList.toggle('one-to-go', cardBest !== null && cardBest.toGo === 1);
+        }
+        
+        if (cardBest && (!closest || cardBest.toGo < closest.toGo)) {
+            closest = cardBest;
+        }
+    });
+    
+    if (!closest) {
+        indicator.textContent = '';
+        indicator.classList.remove('one-to-go');
+        return;
+    }
+    
+    indicator.textContent = closest.toGo === 0
+        ? `${getPatternName(closest.pattern)} ✓`
+        : `${getPatternName(closest.pattern)}: ${closest.toGo} ቀረው`;
+    indicator.classList.toggle('one-to-go', closest.toGo === 1);
+}
+
 // Start new game
 export function startNewGame() {
     window.gameState.gameActive = true;
     window.gameState.calledNumbers = [];
-    window.gameState.markedNumbers.clear();
+    window.gameState.cardMarks.clear();
     
     // Reset board
     const cells = document.querySelectorAll('.board-cell');
@@ -660,178 +804,79 @@ export function announceWin() {
     
     const win = calculateWin();
     if (win) {
-        const winAmount = calculateWinAmount(win.pattern);
-        
+        // The server re-checks the claim against the called numbers and sets the payout
         sendMessage({
             type: 'win',
             playerId: window.gameState.playerId,
-            pattern: win.pattern,
-            amount: winAmount
+            pattern: win.pattern
         });
         
-        showWinnerNotification(win.pattern, winAmount);
+        showNotification('የአሸናፊነት ጥያቄ ተልኳል። በማረጋገጥ ላይ...', false);
     } else {
         showNotification('አሸናፊ ንድፍ አልተጠናቀቀም። እባክዎ ይቆጥሩ!', true);
     }
 }
 
-// Calculate win
+// Calculate win across all of the player's cards
 function calculateWin() {
-    const gameType = window.gameState.gameType;
-    const patterns = GAME_CONFIG.winMultipliers[gameType];
+    const patterns = getPlayedPatterns();
     
-    if (!patterns) return null;
+    if (patterns.length === 0) return null;
     
-    for (const pattern in patterns) {
-        if (checkPattern(pattern)) {
-            return { pattern: pattern };
+    for (const card of window.gameState.cards || []) {
+        const markedPositions = getMarkedPositions(card);
+        for (const pattern of patterns) {
+            if (checkPattern(pattern, markedPositions, card)) {
+                return { pattern: getPatternId(pattern), cardId: card.id };
+            }
         }
     }
     
     return null;
 }
 
-// Check pattern
-function checkPattern(pattern) {
-    const cells = document.querySelectorAll('.board-cell:not(.blank-cell)');
-    const markedCells = Array.from(cells).filter(cell => 
-        cell.classList.contains('marked') || 
-        (cell.classList.contains('center-cell') && 
-         ['75ball', '50ball', 'pattern'].includes(window.gameState.gameType))
-    );
-    
-    const markedPositions = new Set();
-    markedCells.forEach(cell => {
-        if (cell.dataset.row !== undefined && cell.dataset.column !== undefined) {
-            markedPositions.add(`${cell.dataset.row}-${cell.dataset.column}`);
-        }
-    });
-    
-    // Pattern checking logic
-    switch(pattern) {
-        case 'row':
-            return checkRows(markedPositions);
-        case 'column':
-            return checkColumns(markedPositions);
-        case 'diagonal':
-            return checkDiagonals(markedPositions);
-        case 'four-corners':
-            return checkFourCorners(markedPositions);
-        case 'full-house':
-            return checkFullHouse(markedPositions);
-        case 'one-line':
-            return checkOneLine(markedPositions);
-        case 'two-lines':
-            return checkTwoLines(markedPositions);
-        case 'full-board':
-            return checkFullBoard(markedPositions);
-        default:
-            return false;
-    }
-}
-
-// Check rows
-function checkRows(markedPositions) {
-    const rows = window.gameState.gameType === '90ball' ? 3 : 5;
-    const cols = window.gameState.gameType === '90ball' ? 9 : 5;
-    
-    for (let row = 0; row < rows; row++) {
-        let complete = true;
-        for (let col = 0; col < cols; col++) {
-            if (!markedPositions.has(`${row}-${col}`)) {
-                complete = false;
-                break;
-            }
-        }
-        if (complete) return true;
+// Patterns that can be won now: the current stage, the ones chosen for this
+// game, or the game type's defaults
+function getPlayedPatterns() {
+    const { patterns, stage, gameType } = window.gameState;
+    if (patterns && stage !== null && stage !== undefined) {
+        return [patterns[stage]];
     }
-    return false;
+    return patterns || getDefaultPatterns(gameType);
 }
 
-// Check columns
-function checkColumns(markedPositions) {
-    const rows = 5;
-    const cols = 5;
-    
-    for (let col = 0; col < cols; col++) {
-        let complete = true;
-        for (let row = 0; row < rows; row++) {
-            if (!markedPositions.has(`${row}-${col}`)) {
-                complete = false;
-                break;
-            }
-        }
-        if (complete) return true;
+// Cells of the first shape in play (line stages have none)
+function getHighlightedCells() {
+    for (const pattern of getPlayedPatterns()) {
+        const cells = typeof pattern === 'object' ? pattern.cells : GAME_CONFIG.patterns[pattern]?.cells;
+        if (cells) return new Set(cells);
     }
-    return false;
+    return new Set();
 }
 
-// Check diagonals
-function checkDiagonals(markedPositions) {
-    let diag1Complete = true;
-    let diag2Complete = true;
+// Move the pattern outline when the patterns in play change
+function highlightPatternCells() {
+    if (window.gameState.gameType !== 'pattern') return;
     
-    for (let i = 0; i < 5; i++) {
-        if (!markedPositions.has(`${i}-${i}`)) {
-            diag1Complete = false;
-        }
-        if (!markedPositions.has(`${i}-${4-i}`)) {
-            diag2Complete = false;
-        }
-    }
-    
-    return diag1Complete || diag2Complete;
-}
-
-// Check four corners
-function checkFourCorners(markedPositions) {
-    const corners = ['0-0', '0-4', '4-0', '4-4'];
-    return corners.every(pos => markedPositions.has(pos));
-}
-
-// Check full house
-function checkFullHouse(markedPositions) {
-    const totalCells = window.gameState.gameType === '90ball' ? 15 : 25;
-    return markedPositions.size >= totalCells;
-}
-
-// Check one line (90-ball)
-function checkOneLine(markedPositions) {
-    return checkRows(markedPositions);
+    const cells = getHighlightedCells();
+    document.querySelectorAll('.card-container .board-cell').forEach(cell => {
+        cell.classList.toggle('pattern-cell', cells.has(`${cell.dataset.row}-${cell.dataset.column}`));
+    });
 }
 
-// Check two lines (90-ball)
-function checkTwoLines(markedPositions) {
-    let lineCount = 0;
-    const rows = 3;
-    const cols = 9;
+// Positions the player has marked on one card, free spaces included
+function getMarkedPositions(card) {
+    const markedPositions = new Set(card.free);
+    const container = document.querySelector(`.card-container[data-card-id="${card.id}"]`);
+    if (!container) return markedPositions;
     
-    for (let row = 0; row < rows; row++) {
-        let complete = true;
-        for (let col = 0; col < cols; col++) {
-            if (!markedPositions.has(`${row}-${col}`)) {
-                complete = false;
-                break;
-            }
+    container.querySelectorAll('.board-cell.marked').forEach(cell => {
+        if (cell.dataset.row !== undefined && cell.dataset.column !== undefined) {
+            markedPositions.add(`${cell.dataset.row}-${cell.dataset.column}`);
         }
-        if (complete) lineCount++;
-    }
-    
-    return lineCount >= 2;
-}
-
-// Check full board (coverall)
-function checkFullBoard(markedPositions) {
-    return markedPositions.size >= 45;
-}
-
-// Calculate win amount
-function calculateWinAmount(pattern) {
-    const gameType = window.gameState.gameType;
-    const multiplier = GAME_CONFIG.winMultipliers[gameType]?.[pattern] || 1;
-    const baseWin = calculatePotentialWin(window.gameState.stake);
+    });
     
-    return Math.floor(baseWin * multiplier);
+    return markedPositions;
 }
 
 // Show winner notification
@@ -860,12 +905,15 @@ function getPatternName(pattern) {
         'full-house': 'ሙሉ ቤት',
         'one-line': 'አንድ ረድፍ',
         'two-lines': 'ሁለት ረድፍ',
-        'full-board': 'ሙሉ ቦርድ',
-        'x-pattern': 'X ንድፍ',
-        'frame': 'አውራ ቀለበት',
-        'postage-stamp': 'ማህተም',
-        'small-diamond': 'ዲያምንድ'
+        'full-board': 'ሙሉ ቦርድ'
     };
     
+    // Pattern bingo shapes carry their own names
+    const definition = (window.gameState.patterns || []).find(p => getPatternId(p) === pattern) ||
+        GAME_CONFIG.patterns[pattern];
+    if (definition && definition.name) {
+        return definition.name.am;
+    }
+    
     return names[pattern] || pattern;
 }
\ No newline at end of file
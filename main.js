@@ -1,14 +1,18 @@
-import { API_BASE_URL, WS_URL, ICE_SERVERS } from '../config/config.js';
+import { API_BASE_URL, WS_URL, ICE_SERVERS } from './config.js';
 import { showPage, showNotification, formatCurrency } from './utils.js';
 import { initGame, generateGameBoard, startNewGame } from './game.js';
 import { initWebSocket, sendMessage, connectionStatus } from './websocket.js';
 import { initRTC, startCall, stopCall, isRTCConnected } from './rtc.js';
+import { initAdmin, adminLogin, applyRolePermissions } from './admin.js';
 
 // Game State
 window.gameState = {
     gameType: null,
     payment: 0,
     stake: 25,
+    boardId: null,
+    strip: false,
+    cards: [],
     totalWon: 0,
     playerId: null,
     roomId: null,
@@ -17,7 +21,12 @@ window.gameState = {
     isAdmin: false,
     gameActive: false,
     calledNumbers: [],
-    markedNumbers: new Set(),
+    cardCount: 1,
+    cardMarks: new Map(),
+    patterns: null,
+    stage: null,
+    payouts: null,
+    autoDaub: localStorage.getItem('autoDaub') === 'true',
     members: [],
     totalMembers: 90
 };
@@ -118,20 +127,24 @@ function handleVisibilityChange() {
     }
 }
 
-// Check for admin mode
-function checkAdminMode() {
+// Check for admin mode; the server checks the login and issues the session
+async function checkAdminMode() {
     const urlParams = new URLSearchParams(window.location.search);
     const adminParam = urlParams.get('admin');
     
-    if (adminParam === 'true' || adminParam === 'asse2123') {
+    if (adminParam === 'true') {
         // Request admin authentication
-        const password = prompt('የአስተዳዳሪ የይለፍ ቃል ያስገቡ:');
+        const username = prompt('የአስተዳዳሪ ስም ያስገቡ:');
+        const password = username && prompt('የአስተዳዳሪ የይለፍ ቃል ያስገቡ:');
+        if (!password) return;
         
-        if (password === 'asse2123') {
+        try {
+            await adminLogin(username.trim(), password);
+            initAdmin();
             window.gameState.isAdmin = true;
             showNotification('እንኳን ደህና መጡ አስተዳዳሪ!', false);
             showAdminControls();
-        } else {
+        } catch (error) {
             showNotification('የይለፍ ቃል ትክክል አይደለም', false);
         }
     }
@@ -162,32 +175,32 @@ function showAdminPage() {
             <div class="page-header amharic-text">አስተዳዳሪ ፓነል</div>
             
             <div class="admin-controls">
-                <button class="admin-btn" onclick="startGameSession()">
+                <button class="admin-btn" data-admin-action="start_game" onclick="startGameSession()">
                     <i class="fas fa-play"></i>
                     <span class="amharic-text">ጨዋታ ጀምር</span>
                 </button>
                 
-                <button class="admin-btn" onclick="callNumberManually()">
+                <button class="admin-btn" data-admin-action="number_called" onclick="callNumberManually()">
                     <i class="fas fa-bullhorn"></i>
                     <span class="amharic-text">ቁጥር ጥራ</span>
                 </button>
                 
-                <button class="admin-btn" onclick="showAllPlayers()">
+                <button class="admin-btn" data-admin-action="get_players" onclick="showAllPlayers()">
                     <i class="fas fa-users"></i>
                     <span class="amharic-text">ተጫዋቾች</span>
                 </button>
                 
-                <button class="admin-btn" onclick="showStatistics()">
+                <button class="admin-btn" data-admin-action="get_stats" onclick="showStatistics()">
                     <i class="fas fa-chart-bar"></i>
                     <span class="amharic-text">ስታቲስቲክስ</span>
                 </button>
                 
-                <button class="admin-btn" onclick="managePayments()">
+                <button class="admin-btn" data-admin-action="list_withdrawals" onclick="managePayments()">
                     <i class="fas fa-money-bill-wave"></i>
                     <span class="amharic-text">ክፍያዎች</span>
                 </button>
                 
-                <button class="admin-btn" onclick="broadcastMessage()">
+                <button class="admin-btn" data-admin-action="broadcast" onclick="broadcastMessage()">
                     <i class="fas fa-broadcast-tower"></i>
                     <span class="amharic-text">ማስታወቂያ</span>
                 </button>
@@ -218,10 +231,17 @@ function showAdminPage() {
                 <i class="fas fa-home"></i>
                 <span class="amharic-text">ቤት</span>
             </button>
+            <button class="control-btn btn-danger" onclick="adminLogout()">
+                <i class="fas fa-sign-out-alt"></i>
+                <span class="amharic-text">ውጣ</span>
+            </button>
         </div>
     `;
     
     document.querySelector('.main-container').appendChild(adminPage);
+    
+    // Only the buttons this admin's role allows
+    applyRolePermissions();
 }
 
 // Update connection status display
@@ -0,0 +1,252 @@
+// outbox.js - Outgoing messages kept in IndexedDB until the server acks them
+//
+// Shared by the player clients. Every tracked message (one with a messageId)
+// is saved before it is sent, so a mark, chat or claim made on a flaky
+// connection goes out again after a reconnect or a page reload. The server
+// only remembers a messageId for MESSAGE_ID_TTL_MS (protocol.js), so entries
+// older than that are given up on rather than risk being handled twice.
+// Messages that move money wait for the player to confirm every replay.
+//
+// Statuses: 'queued' (not sent yet), 'sent' (waiting for the ack), 'acked',
+// and 'failed' (refused by the server, or given up on). The server remembers
+// the messageId of a message it refused too, so retrying a refused entry
+// sends it under a new messageId; anything else keeps its own, which is what
+// stops a message the server did handle from being handled twice.
+import { MESSAGE_ID_TTL_MS } from './protocol.js';
+
+const DB_NAME = 'mel-bingo-outbox';
+const STORE_NAME = 'messages';
+
+export const OUTBOX_STATUSES = ['queued', 'sent', 'acked', 'failed'];
+
+// Replaying these moves money, so the player confirms first (so does any
+// message carrying a payment, like a register with a first deposit)
+export const MONEY_MESSAGE_TYPES = ['payment', 'withdraw'];
+
+const MAX_ATTEMPTS = 5;
+const MAX_AGE_MS = MESSAGE_ID_TTL_MS;
+// Acked messages stay listed for a while so the player can see they went through
+const ACKED_KEEP_MS = 10 * 60 * 1000;
+
+// Entries by messageId, in the order they were added
+const entries = new Map();
+const listeners = new Set();
+let db = null;
+
+// Load saved messages; without IndexedDB (private mode, old browsers) the
+// outbox still works but only lasts as long as the page
+export async function openOutbox() {
+    if (db || typeof indexedDB === 'undefined') return;
+
+    try {
+        db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'messageId' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const saved = await runRequest(db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll());
+        saved
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .forEach(entry => entries.set(entry.messageId, entry));
+    } catch (error) {
+        console.error('Outbox storage unavailable:', error);
+        db = null;
+    }
+
+    const now = Date.now();
+    entries.forEach(entry => {
+        if (entry.status === 'acked' && now - entry.updatedAt > ACKED_KEEP_MS) {
+            removeEntry(entry.messageId);
+        }
+    });
+
+    notify();
+}
+
+// Save a message before it is sent; adding the same messageId again is a no-op
+export function addMessage(message) {
+    if (entries.has(message.messageId)) {
+        return entries.get(message.messageId);
+    }
+
+    const now = Date.now();
+    const entry = {
+        messageId: message.messageId,
+        type: message.type,
+        message,
+        status: 'queued',
+        attempts: 0,
+        confirmed: false,
+        refused: false,
+        error: null,
+        createdAt: now,
+        // Attempts and age count from here; a retry starts them over
+        queuedAt: now,
+        updatedAt: now
+    };
+
+    entries.set(entry.messageId, entry);
+    saveEntry(entry);
+    notify();
+
+    return entry;
+}
+
+// A confirmation covers one send; if that is not acked either, the player
+// is asked again
+export function markSent(messageId) {
+    updateEntry(messageId, entry => {
+        entry.status = 'sent';
+        entry.attempts++;
+        entry.confirmed = false;
+    });
+}
+
+// A refusal seen earlier for the same message stands
+export function markAcked(messageId) {
+    updateEntry(messageId, entry => {
+        if (entry.status !== 'failed') {
+            entry.status = 'acked';
+        }
+    });
+}
+
+export function markFailed(messageId, error) {
+    updateEntry(messageId, entry => {
+        entry.status = 'failed';
+        entry.error = error || null;
+    });
+}
+
+// The server answered the message with an error (replyTo)
+export function markRefused(messageId, error) {
+    updateEntry(messageId, entry => {
+        entry.status = 'failed';
+        entry.refused = true;
+        entry.error = error || null;
+    });
+}
+
+// Money messages are only sent again (after a drop or a reload) once confirmed
+export function needsConfirmation(entry) {
+    return isMoneyMessage(entry.message) && !entry.confirmed;
+}
+
+export function isMoneyMessage(message) {
+    return MONEY_MESSAGE_TYPES.includes(message.type) || parseInt(message.payment) > 0;
+}
+
+// Messages to send (again) now, oldest first. Those tried too often or for too
+// long are given up on; money messages waiting for confirmation are left out.
+export function getReplayQueue() {
+    const now = Date.now();
+
+    return Array.from(entries.values()).filter(entry => {
+        if (entry.status !== 'queued' && entry.status !== 'sent') return false;
+
+        if (entry.attempts >= MAX_ATTEMPTS || now - entry.queuedAt > MAX_AGE_MS) {
+            markFailed(entry.messageId, entry.attempts >= MAX_ATTEMPTS ? 'Too many attempts' : 'Expired');
+            return false;
+        }
+
+        return !needsConfirmation(entry);
+    });
+}
+
+// Messages not acked yet (queued, sent or waiting for confirmation)
+export function getPendingMessages() {
+    return Array.from(entries.values()).filter(entry => entry.status === 'queued' || entry.status === 'sent');
+}
+
+// Newest first, for showing the outbox
+export function listMessages() {
+    return Array.from(entries.values()).reverse();
+}
+
+// Queue a failed or held message again; for money messages this is the
+// confirmation. Returns the entry, under its new messageId if it was refused.
+export function retryMessage(messageId) {
+    const refused = entries.get(messageId);
+    if (refused && refused.refused) {
+        removeEntry(messageId);
+        refused.messageId = createMessageId();
+        refused.message = { ...refused.message, messageId: refused.messageId };
+        refused.refused = false;
+        entries.set(refused.messageId, refused);
+        messageId = refused.messageId;
+    }
+
+    updateEntry(messageId, entry => {
+        entry.status = 'queued';
+        entry.confirmed = true;
+        entry.attempts = 0;
+        entry.queuedAt = Date.now();
+        entry.error = null;
+    });
+    return entries.get(messageId) || null;
+}
+
+export function createMessageId() {
+    return typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export function discardMessage(messageId) {
+    removeEntry(messageId);
+    notify();
+}
+
+// Listener gets the entry list (newest first) whenever anything changes
+export function onOutboxChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function updateEntry(messageId, change) {
+    const entry = entries.get(messageId);
+    if (!entry) return;
+
+    change(entry);
+    entry.updatedAt = Date.now();
+    saveEntry(entry);
+    notify();
+}
+
+// Admin tokens are never written to disk; such messages last as long as the page
+function saveEntry(entry) {
+    if (!db || entry.message.token) return;
+
+    runRequest(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put(entry))
+        .catch(error => console.error('Could not save outbox message:', error));
+}
+
+function removeEntry(messageId) {
+    entries.delete(messageId);
+    if (!db) return;
+
+    runRequest(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).delete(messageId))
+        .catch(error => console.error('Could not remove outbox message:', error));
+}
+
+function notify() {
+    const list = listMessages();
+    listeners.forEach(listener => {
+        try {
+            listener(list);
+        } catch (error) {
+            console.error('Outbox listener failed:', error);
+        }
+    });
+}
+
+function runRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
@@ -0,0 +1,204 @@
+// patterns.js - Win pattern checks shared by the client and the server
+//
+// Checks work on "row-col" position sets so they apply equally to DOM state
+// (client) and to a card plus the called numbers (server).
+//
+// Every pattern is reduced to groups of cells: it is won once `need` of its
+// groups are fully marked. Lines (rows, columns, ...) are built from the card
+// layout and skip blank cells; shapes (four corners, pattern-bingo shapes and
+// admin-drawn patterns) are fixed cells that must all be markable.
+import { GAME_CONFIG } from './rules.js';
+import { getBlankPositions, getMarkedPositions } from './card.js';
+
+// Line patterns built from the card layout
+const LINE_PATTERNS = {
+    'row': layout => ({ groups: getRows(layout), need: 1 }),
+    'one-line': layout => ({ groups: getRows(layout), need: 1 }),
+    'two-lines': layout => ({ groups: getRows(layout), need: 2 }),
+    'column': layout => ({ groups: getColumns(layout), need: 1 }),
+    'diagonal': layout => ({ groups: layout.rows === layout.columns ? getDiagonals(layout) : [], need: 1 }),
+    'full-house': layout => ({ groups: [getRows(layout).flat()], need: 1 }),
+    'full-board': layout => ({ groups: [getRows(layout).flat()], need: 1 })
+};
+
+// Does the card win `pattern` with the given numbers covered?
+export function checkCardPattern(card, pattern, numbers) {
+    return checkPattern(pattern, getMarkedPositions(card, numbers), card);
+}
+
+// First pattern in play that is complete, or null. `patterns` holds IDs or
+// pattern definitions and defaults to the card's game type.
+export function findWinningPattern(card, numbers, patterns = getDefaultPatterns(card.gameType)) {
+    const markedPositions = getMarkedPositions(card, numbers);
+
+    for (const pattern of patterns) {
+        if (checkPattern(pattern, markedPositions, card)) {
+            return getPatternId(pattern);
+        }
+    }
+
+    return null;
+}
+
+// Pattern in play needing the fewest further numbers, as { pattern, toGo },
+// or null when none can be counted
+export function findClosestPattern(card, numbers, patterns = getDefaultPatterns(card.gameType)) {
+    const markedPositions = getMarkedPositions(card, numbers);
+    let closest = null;
+
+    for (const pattern of patterns) {
+        const toGo = countToGo(pattern, markedPositions, card);
+        if (toGo !== null && (!closest || toGo < closest.toGo)) {
+            closest = { pattern: getPatternId(pattern), toGo };
+        }
+    }
+
+    return closest;
+}
+
+// Check pattern against marked positions on a card layout
+export function checkPattern(pattern, markedPositions, card) {
+    return countToGo(pattern, markedPositions, card) === 0;
+}
+
+// Numbers still needed to complete `pattern` (0 when already won), or null
+// when this card can never complete it
+export function countToGo(pattern, markedPositions, card) {
+    const layout = getLayout(card);
+    const rule = resolvePattern(pattern, layout);
+    if (!rule) return null;
+
+    const counts = rule.groups
+        .map(cells => countMissing(cells, markedPositions, layout, rule.shape))
+        .filter(count => count !== null)
+        .sort((a, b) => a - b);
+
+    if (counts.length < rule.need) return null;
+    return counts.slice(0, rule.need).reduce((total, count) => total + count, 0);
+}
+
+// Pattern IDs played in a game type when the game does not choose its own
+export function getDefaultPatterns(gameType) {
+    return Object.keys(GAME_CONFIG.winMultipliers[gameType] || {});
+}
+
+export function getPatternId(pattern) {
+    return typeof pattern === 'string' ? pattern : pattern.id;
+}
+
+// Check and normalize an admin-drawn pattern; throws on anything unusable
+export function validatePatternDefinition(definition) {
+    const size = GAME_CONFIG.patternGridSize;
+    const nameAm = String(definition?.name?.am || '').trim();
+    const nameEn = String(definition?.name?.en || '').trim();
+
+    if (!nameAm || !nameEn) {
+        throw new Error('Pattern needs an Amharic and an English name');
+    }
+
+    const id = String(definition.id || nameEn).trim().toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    if (!id) {
+        throw new Error('Pattern needs an ID made of letters or digits');
+    }
+
+    const cells = Array.from(new Set(definition.cells || []));
+    const outside = cells.find(pos => {
+        const [row, col] = String(pos).split('-').map(Number);
+        return !Number.isInteger(row) || !Number.isInteger(col) ||
+            row < 0 || col < 0 || row >= size || col >= size;
+    });
+    if (cells.length === 0 || outside !== undefined) {
+        throw new Error(`Pattern cells must be "row-col" positions on the ${size}×${size} grid`);
+    }
+
+    const multiplier = Number(definition.multiplier);
+    if (!(multiplier > 0) || multiplier > GAME_CONFIG.maxPatternMultiplier) {
+        throw new Error(`Multiplier must be above 0 and at most ${GAME_CONFIG.maxPatternMultiplier}`);
+    }
+
+    return {
+        id,
+        name: { am: nameAm, en: nameEn },
+        cells: cells.sort(comparePositions),
+        multiplier
+    };
+}
+
+// Turn a pattern ID or definition into cell groups for this layout.
+// Definitions without cells (line stages) are resolved by their ID.
+function resolvePattern(pattern, layout) {
+    if (pattern && typeof pattern === 'object') {
+        if (Array.isArray(pattern.cells)) {
+            return { groups: [pattern.cells], need: 1, shape: true };
+        }
+        pattern = pattern.id;
+    }
+
+    if (LINE_PATTERNS[pattern]) {
+        return LINE_PATTERNS[pattern](layout);
+    }
+
+    if (pattern === 'four-corners') {
+        return { groups: [getCorners(layout)], need: 1, shape: true };
+    }
+
+    const builtIn = GAME_CONFIG.patterns[pattern];
+    return builtIn ? { groups: [builtIn.cells], need: 1, shape: true } : null;
+}
+
+function getLayout(card) {
+    return {
+        rows: card.rows,
+        columns: card.columns,
+        blanks: getBlankPositions(card)
+    };
+}
+
+function getRows(layout) {
+    return Array.from({ length: layout.rows }, (_, row) =>
+        Array.from({ length: layout.columns }, (_, col) => `${row}-${col}`));
+}
+
+function getColumns(layout) {
+    return Array.from({ length: layout.columns }, (_, col) =>
+        Array.from({ length: layout.rows }, (_, row) => `${row}-${col}`));
+}
+
+function getDiagonals(layout) {
+    const size = layout.rows;
+    return [
+        Array.from({ length: size }, (_, i) => `${i}-${i}`),
+        Array.from({ length: size }, (_, i) => `${i}-${size - 1 - i}`)
+    ];
+}
+
+function getCorners(layout) {
+    const lastRow = layout.rows - 1;
+    const lastCol = layout.columns - 1;
+    return ['0-0', `0-${lastCol}`, `${lastRow}-0`, `${lastRow}-${lastCol}`];
+}
+
+// Unmarked cells in a group, or null when the group cannot be completed.
+// Lines skip blanks; shapes need every cell on the card and numbered or free.
+function countMissing(cells, markedPositions, layout, shape) {
+    if (shape && cells.some(pos => !isOnCard(pos, layout) || layout.blanks.has(pos))) {
+        return null;
+    }
+
+    const markable = cells.filter(pos => !layout.blanks.has(pos));
+    if (markable.length === 0) return null;
+    return markable.filter(pos => !markedPositions.has(pos)).length;
+}
+
+function isOnCard(pos, layout) {
+    const [row, col] = pos.split('-').map(Number);
+    return row < layout.rows && col < layout.columns;
+}
+
+function comparePositions(a, b) {
+    const [rowA, colA] = a.split('-').map(Number);
+    const [rowB, colB] = b.split('-').map(Number);
+    return rowA - rowB || colA - colB;
+}
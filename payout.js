@@ -0,0 +1,60 @@
+// payout.js - Prize pool and payouts shared by the client and the server
+//
+// The pot is what paid players put in (one stake per card in play). The house
+// keeps its commission and the rest is the prize pool. Each pattern in play is
+// paid from its share of the pool: progressive stages carry their own share,
+// other patterns divide the pool by their multipliers.
+import { GAME_CONFIG } from './rules.js';
+import { getDefaultPatterns, getPatternId } from './patterns.js';
+
+export function calculatePot(paidCards, stake) {
+    return Math.max(0, parseInt(paidCards) || 0) * (parseInt(stake) || 0);
+}
+
+// House cut of a pot, rounded down
+export function calculateCommission(pot, rate = GAME_CONFIG.houseCommission) {
+    return Math.floor(pot * rate);
+}
+
+// Share of the pool each pattern pays, in the order given. `patterns` holds
+// IDs or pattern definitions and defaults to the game type's table.
+export function getPatternShares(gameType, patterns = getDefaultPatterns(gameType)) {
+    const weights = patterns.map(pattern => typeof pattern === 'object'
+        ? pattern.multiplier || 1
+        : GAME_CONFIG.winMultipliers[gameType]?.[pattern] || 1);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return patterns.map((pattern, i) => ({
+        pattern: getPatternId(pattern),
+        share: typeof pattern === 'object' && pattern.share !== undefined ? pattern.share : weights[i] / total
+    }));
+}
+
+// Everything a payout display needs: money in, the house cut, the pool and
+// what each pattern pays
+export function calculatePayouts({ gameType, stake, paidCards, patterns, commissionRate = GAME_CONFIG.houseCommission }) {
+    const pot = calculatePot(paidCards, stake);
+    const commission = calculateCommission(pot, commissionRate);
+    const pool = pot - commission;
+
+    return {
+        gameType,
+        stake: parseInt(stake) || 0,
+        paidCards: Math.max(0, parseInt(paidCards) || 0),
+        pot,
+        commissionRate,
+        commission,
+        pool,
+        prizes: getPatternShares(gameType, patterns).map(({ pattern, share }) => ({
+            pattern,
+            share,
+            amount: Math.floor(pool * share)
+        }))
+    };
+}
+
+// Prize for one pattern from a payout table (0 when it is not in play)
+export function getPrize(payouts, pattern) {
+    const prize = payouts.prizes.find(p => p.pattern === getPatternId(pattern));
+    return prize ? prize.amount : 0;
+}
@@ -0,0 +1,340 @@
+// protocol.js - Message schema shared by the clients and the server
+//
+// Every message type either side may send is listed here with the fields its
+// receiver reads. Both sides check what they send and what they receive, so a
+// malformed message is refused with a structured error instead of failing
+// somewhere inside a handler. Fields that are not listed are let through.
+//
+// Field types: 'string', 'number', 'integer', 'boolean', 'object', 'array',
+// 'numeric' (a number or a numeric string, as form fields send), 'id' (a
+// string or an integer) and 'any'. A trailing '?' makes the field optional;
+// null then counts as missing.
+
+// Versions this build speaks. A client offers them in hello/resume and the
+// welcome names the newest one both sides know.
+export const SUPPORTED_PROTOCOL_VERSIONS = [1];
+
+// How long the server remembers a messageId. A message sent again within this
+// time is only acked; later it would be handled as a new one, so clients do
+// not replay messages older than this.
+export const MESSAGE_ID_TTL_MS = 10 * 60 * 1000;
+
+// Fields that must never reach a log, wherever they appear in a message
+export const SECRET_FIELDS = ['password', 'currentPassword', 'newPassword', 'token', 'resumeToken'];
+
+// Fields any message may carry
+const COMMON_FIELDS = {
+    messageId: 'id?',
+    token: 'string?',
+    timestamp: 'number?',
+    seq: 'integer?',
+    replyTo: 'id?'
+};
+
+// Sent by clients, handled by the server
+export const CLIENT_MESSAGES = {
+    hello: { playerId: 'id?', resumeToken: 'string?', isAdmin: 'boolean?', deviceInfo: 'object?', protocolVersions: 'array?' },
+    resume: { playerId: 'id?', resumeToken: 'string?', deviceInfo: 'object?', protocolVersions: 'array?' },
+    admin_login: { username: 'string', password: 'string' },
+    admin_refresh: {},
+    admin_logout: {},
+    register: {
+        playerId: 'id?',
+        name: 'string',
+        phone: 'string',
+        stake: 'numeric?',
+        gameType: 'string?',
+        boardId: 'numeric?',
+        strip: 'boolean?',
+        cardCount: 'numeric?',
+        payment: 'numeric?'
+    },
+    join_room: { playerId: 'id?', roomId: 'id?', boardId: 'numeric?' },
+    leave_room: { playerId: 'id?', roomId: 'id?' },
+    get_lobby: {},
+    start_game: {
+        roomId: 'id?',
+        gameType: 'string?',
+        stake: 'numeric?',
+        patterns: 'array?',
+        stages: 'array?',
+        progressive: 'boolean?',
+        split: 'string?'
+    },
+    number_called: { roomId: 'id' },
+    mark: { playerId: 'id?', cardId: 'string?', number: 'numeric', marked: 'boolean?' },
+    win: { playerId: 'id?', pattern: 'string?' },
+    payment: { playerId: 'id?', amount: 'numeric', phone: 'string?', provider: 'string?', simulate: 'string?' },
+    withdraw: { playerId: 'id?', amount: 'numeric', accountNumber: 'string' },
+    get_transactions: { playerId: 'id?', limit: 'numeric?' },
+    get_withdrawals: { playerId: 'id?' },
+    chat: { playerId: 'id?', roomId: 'id?', text: 'string' },
+    // Call signalling (rtc.js): the admin offers to a room, its players answer
+    offer: { roomId: 'id', offer: 'object' },
+    answer: { roomId: 'id?', answer: 'object' },
+    ice_candidate: { roomId: 'id?', candidate: 'object' },
+    admin_command: { command: 'string', data: 'object?' },
+    resend: { fromSeq: 'numeric' },
+    ping: {},
+    pong: {}
+};
+
+// Audit log filters; from/to are timestamps
+const AUDIT_FILTERS = {
+    action: 'string?',
+    actor: 'string?',
+    roomId: 'id?',
+    playerId: 'id?',
+    outcome: 'string?',
+    from: 'numeric?',
+    to: 'numeric?'
+};
+
+// The `data` of each admin_command
+export const ADMIN_COMMANDS = {
+    broadcast: { message: 'string', roomId: 'id?' },
+    kick_player: { playerId: 'id' },
+    mute_player: { playerId: 'id', muted: 'boolean?' },
+    get_stats: {},
+    get_players: { roomId: 'id?' },
+    announce_win: { playerId: 'id', pattern: 'string?', amount: 'numeric?' },
+    create_room: { name: 'string?', gameType: 'string', stake: 'numeric', startsAt: 'numeric?' },
+    close_room: { roomId: 'id' },
+    end_game: { roomId: 'id' },
+    reset_game: { roomId: 'id?' },
+    list_patterns: {},
+    save_pattern: { pattern: 'object' },
+    delete_pattern: { id: 'string' },
+    list_withdrawals: { status: 'string?' },
+    update_withdrawal: { requestId: 'id', status: 'string', note: 'string?' },
+    send_payout: { requestId: 'id', provider: 'string?' },
+    change_password: { currentPassword: 'string', newPassword: 'string' },
+    list_admins: {},
+    save_admin: { username: 'string', role: 'string?', password: 'string?' },
+    delete_admin: { username: 'string' },
+    list_audit: { ...AUDIT_FILTERS, limit: 'numeric?' },
+    export_audit: { ...AUDIT_FILTERS, format: 'string?' },
+    list_schedules: {},
+    create_schedule: {
+        name: 'string?',
+        gameType: 'string',
+        stake: 'numeric',
+        repeat: 'string?',
+        everyMinutes: 'numeric?',
+        time: 'string?',
+        startsAt: 'numeric?',
+        minPlayers: 'numeric?',
+        buyInCloseSeconds: 'numeric?'
+    },
+    delete_schedule: { scheduleId: 'string' }
+};
+
+// Sent by the server, handled by the clients
+export const SERVER_MESSAGES = {
+    welcome: {
+        message: 'string',
+        playerId: 'id?',
+        protocolVersion: 'integer',
+        isAdmin: 'boolean?',
+        username: 'string?',
+        role: 'string?',
+        actions: 'array?',
+        balance: 'number?',
+        roomId: 'id?',
+        serverInfo: 'object?'
+    },
+    error: { message: 'string', code: 'string?' },
+    ack: { messageId: 'id', duplicate: 'boolean?' },
+    ping: {},
+    pong: { timestamp: 'number' },
+    resend_unavailable: { fromSeq: 'integer?' },
+    resume_state: { playerId: 'id', registered: 'boolean', player: 'object', balance: 'number', room: 'object?' },
+    admin_session: { token: 'string', username: 'string', role: 'string', actions: 'array', expiresAt: 'number' },
+    admin_logged_out: {},
+    password_changed: {},
+    registration_success: { playerId: 'id', resumeToken: 'string', player: 'object', balance: 'number', payment: 'object?' },
+    room_joined: {
+        roomId: 'id',
+        name: 'string?',
+        gameType: 'string',
+        stake: 'number',
+        gameActive: 'boolean',
+        calledNumbers: 'array',
+        draw: 'object?',
+        patterns: 'array?',
+        stage: 'integer?',
+        winners: 'array',
+        payouts: 'object',
+        cards: 'array',
+        marks: 'object',
+        balance: 'number',
+        players: 'array'
+    },
+    room_left: { roomId: 'id', reason: 'string?' },
+    lobby: { rooms: 'array' },
+    room_updated: { room: 'object' },
+    room_closed: { roomId: 'id', reason: 'string?' },
+    player_joined: { playerId: 'id', name: 'string?', roomId: 'id', stake: 'number?' },
+    player_left: { playerId: 'id', name: 'string?', roomId: 'id' },
+    player_disconnected: { playerId: 'id', name: 'string?', roomId: 'id?' },
+    player_marked: { playerId: 'id', name: 'string?', roomId: 'id?', cardIds: 'array', number: 'integer', marked: 'boolean' },
+    player_muted: { playerId: 'id', name: 'string?', muted: 'boolean' },
+    game_started: {
+        roomId: 'id',
+        gameType: 'string',
+        stake: 'number',
+        playerCount: 'integer',
+        patterns: 'array?',
+        stage: 'integer?',
+        payouts: 'object?',
+        draw: 'object'
+    },
+    number_called: { roomId: 'id', number: 'integer', callCount: 'integer', remaining: 'integer' },
+    stage_changed: { roomId: 'id', stage: 'integer', pattern: 'object' },
+    payouts_updated: { roomId: 'id', payouts: 'object' },
+    game_ended: { roomId: 'id', reason: 'string?', winners: 'array', draw: 'object' },
+    game_reset: { roomId: 'id?' },
+    claim_pending: { roomId: 'id', pattern: 'string', cardIds: 'array', claimants: 'integer', closesIn: 'number' },
+    claim_rejected: { roomId: 'id?', playerId: 'id', name: 'string?', pattern: 'string', reason: 'string?' },
+    win_rejected: { roomId: 'id?', pattern: 'string', reason: 'string?' },
+    win_confirmed: {
+        pattern: 'string',
+        amount: 'number',
+        cardId: 'string?',
+        cardIds: 'array?',
+        shared: 'integer?',
+        stage: 'integer?',
+        balance: 'number'
+    },
+    win_announced: {
+        roomId: 'id',
+        playerId: 'id',
+        winnerName: 'string',
+        pattern: 'string',
+        amount: 'number',
+        stage: 'integer?',
+        split: 'string?',
+        winners: 'array'
+    },
+    player_won: { roomId: 'id?', playerId: 'id', name: 'string?', pattern: 'string', amount: 'number' },
+    payment_initiated: { payment: 'object' },
+    payment_pending: { payment: 'object', instructions: 'string?' },
+    payment_failed: { payment: 'object', reason: 'string?' },
+    payment_confirmed: { amount: 'number', payment: 'object', balance: 'number' },
+    player_paid: { playerId: 'id', name: 'string?', amount: 'number', provider: 'string?', balance: 'number' },
+    transaction_recorded: { transaction: 'object', balance: 'number' },
+    transactions: { balance: 'number', summary: 'object', transactions: 'array' },
+    withdrawal_processing: { amount: 'number', accountNumber: 'string', newBalance: 'number', request: 'object' },
+    withdrawal_request: { playerId: 'id', name: 'string?', amount: 'number', accountNumber: 'string', balance: 'number', request: 'object' },
+    withdrawal_updated: { request: 'object', balance: 'number?' },
+    withdrawals: { withdrawals: 'array' },
+    withdrawals_list: { status: 'string?', withdrawals: 'array' },
+    payout_updated: { payment: 'object' },
+    chat_message: { roomId: 'id', playerId: 'id', playerName: 'string?', text: 'string' },
+    admin_message: { message: 'string', roomId: 'id?' },
+    offer: { roomId: 'id', offer: 'object' },
+    answer: { roomId: 'id', playerId: 'id', answer: 'object' },
+    ice_candidate: { roomId: 'id', playerId: 'id?', candidate: 'object' },
+    stats: { stats: 'object' },
+    players_list: { roomId: 'id?', players: 'array' },
+    patterns_list: { patterns: 'array' },
+    pattern_saved: { pattern: 'object' },
+    admins_list: { admins: 'array' },
+    admin_saved: { admin: 'object' },
+    admin_deleted: { username: 'string' },
+    schedules_list: { schedules: 'array' },
+    schedule_saved: { schedule: 'object' },
+    schedule_deleted: { scheduleId: 'string' },
+    audit_log: { entries: 'array' },
+    audit_export: { format: 'string', entries: 'array' }
+};
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    numeric: value => (typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))),
+    id: value => typeof value === 'string' || Number.isInteger(value),
+    any: () => true
+};
+
+// Check a message against the schema of its sender ('client' or 'server').
+// Returns null when it is fine, otherwise an error shaped like the protocol's
+// error message: { code, message, messageType, field, expected }.
+export function validateMessage(message, sender) {
+    const schemas = sender === 'server' ? SERVER_MESSAGES : CLIENT_MESSAGES;
+
+    if (!message || typeof message !== 'object' || Array.isArray(message) ||
+        typeof message.type !== 'string' || !message.type) {
+        return protocolError('invalid_message', 'Message missing type');
+    }
+
+    const fields = schemas[message.type];
+    if (!fields) {
+        return protocolError('unknown_message_type', `Unknown message type: ${message.type}`, {
+            messageType: message.type
+        });
+    }
+
+    const problem = checkFields(message, { ...COMMON_FIELDS, ...fields }, message.type);
+    if (problem || sender === 'server' || message.type !== 'admin_command') {
+        return problem;
+    }
+
+    const commandFields = ADMIN_COMMANDS[message.command];
+    if (!commandFields) {
+        return protocolError('unknown_command', `Unknown admin command: ${message.command}`, {
+            messageType: message.type,
+            field: 'command'
+        });
+    }
+
+    return checkFields(message.data || {}, commandFields, message.type, 'data.');
+}
+
+// Newest version both sides speak, or null. Clients from before versions were
+// negotiated offer none and speak version 1.
+export function negotiateProtocolVersion(offered) {
+    const versions = Array.isArray(offered) && offered.length > 0 ? offered : [1];
+    const shared = SUPPORTED_PROTOCOL_VERSIONS.filter(version => versions.includes(version));
+    return shared.length > 0 ? Math.max(...shared) : null;
+}
+
+// Copy of a message that is safe to log, secret fields masked (also inside
+// an admin_command's data)
+export function redactSecrets(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return message;
+    }
+
+    return Object.fromEntries(Object.entries(message).map(([key, value]) =>
+        [key, SECRET_FIELDS.includes(key) ? '[redacted]' : redactSecrets(value)]));
+}
+
+function checkFields(object, fields, messageType, prefix = '') {
+    for (const [name, spec] of Object.entries(fields)) {
+        const optional = spec.endsWith('?');
+        const expected = optional ? spec.slice(0, -1) : spec;
+        const value = object[name];
+        const field = prefix + name;
+
+        if (value === undefined || value === null) {
+            if (optional) continue;
+            return protocolError('invalid_message', `${messageType} needs ${field}`, { messageType, field, expected });
+        }
+
+        if (!TYPE_CHECKS[expected](value)) {
+            return protocolError('invalid_message', `${messageType}: ${field} must be ${expected}`, { messageType, field, expected });
+        }
+    }
+
+    return null;
+}
+
+function protocolError(code, message, details = {}) {
+    return { code, message, messageType: null, field: null, expected: null, ...details };
+}
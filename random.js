@@ -0,0 +1,57 @@
+// random.js - Seeded pseudo-random numbers shared by the client and the server
+//
+// Math.random() cannot be replayed, so anything another party must be able to
+// reproduce (draw sequences, cards) goes through these helpers instead.
+
+// Hash an arbitrary string seed into four 32-bit words (cyrb128)
+function hashSeed(seed) {
+    const str = String(seed);
+    let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+
+    for (let i = 0; i < str.length; i++) {
+        const k = str.charCodeAt(i);
+        h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+        h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+        h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+        h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+    }
+
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+
+    return [(h1 ^ h2 ^ h3 ^ h4) >>> 0, (h2 ^ h1) >>> 0, (h3 ^ h1) >>> 0, (h4 ^ h1) >>> 0];
+}
+
+// Create a generator returning floats in [0, 1) for the given seed (sfc32)
+export function createRandom(seed) {
+    let [a, b, c, d] = hashSeed(seed);
+
+    return function random() {
+        a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+        let t = (a + b) | 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) | 0;
+        c = (c << 21) | (c >>> 11);
+        d = (d + 1) | 0;
+        t = (t + d) | 0;
+        c = (c + t) | 0;
+        return (t >>> 0) / 4294967296;
+    };
+}
+
+// Integer in [min, max] from a generator
+export function randomInt(random, min, max) {
+    return Math.floor(random() * (max - min + 1)) + min;
+}
+
+// Fisher-Yates shuffle driven by a generator (returns a new array)
+export function seededShuffle(array, random) {
+    const newArray = [...array];
+    for (let i = newArray.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [newArray[i], newArray[j]] = [newArray[j], newArray[i]];
+    }
+    return newArray;
+}
@@ -1,6 +1,7 @@
-import { ICE_SERVERS } from '../config/config.js';
+import { ICE_SERVERS } from './config.js';
 import { showNotification } from './utils.js';
-import { sendMessage } from './websocket.js';
+import { sendMessage, addEventListener } from './websocket.js';
+import { daubNumber } from './game.js';
 
 // WebRTC configuration
 let peerConnection = null;
@@ -16,6 +17,17 @@ export const rtcState = {
     roomId: null
 };
 
+// Signalling relayed by the server; ignored until a call is set up
+addEventListener('offer', message => {
+    if (peerConnection) handleOffer(message.offer);
+});
+addEventListener('answer', message => {
+    if (peerConnection) handleAnswer(message.answer);
+});
+addEventListener('ice_candidate', message => {
+    if (peerConnection) handleRemoteCandidate(message.candidate);
+});
+
 // Initialize WebRTC
 export function initRTC(config = {}) {
     const { role = 'player', roomId = null } = config;
@@ -420,6 +432,9 @@ function updateCalledNumbersUI() {
 }
 
 function checkPlayerNumber(number) {
+    // With auto-daub on the cell is marked outright
+    if (daubNumber(number)) return;
+    
     const cell = document.querySelector(`.board-cell[data-number="${number}"]`);
     if (cell && !cell.classList.contains('marked')) {
         // Highlight the cell
@@ -0,0 +1,111 @@
+// rules.js - Game configuration shared by the client and the reference server
+
+export const GAME_CONFIG = {
+    boardTypes: [
+        { id: '75ball', name: '75-ቢንጎ', range: 75, columns: 5, rows: 5 },
+        { id: '90ball', name: '90-ቢንጎ', range: 90, columns: 9, rows: 3 },
+        { id: '30ball', name: '30-ቢንጎ', range: 30, columns: 3, rows: 3 },
+        { id: '50ball', name: '50-ቢንጎ', range: 50, columns: 5, rows: 5 },
+        { id: 'pattern', name: 'ንድፍ ቢንጎ', range: 75, columns: 5, rows: 5 },
+        { id: 'coverall', name: 'ሙሉ ቤት', range: 90, columns: 9, rows: 5 }
+    ],
+    
+    stakes: [25, 50, 100, 200, 500, 1000, 2000, 5000],
+    
+    // Board N is always the same card for a given game type and deck seed
+    boardCount: 100,
+    cardSeed: 'mel-bingo-deck-1',
+    
+    // 90-ball tickets are dealt in strips of six covering 1-90
+    stripSize: 6,
+    
+    // Cards one player may buy for a game; each costs one stake
+    maxCardsPerPlayer: 12,
+    
+    // Part of the pot the house keeps; the rest is the prize pool (see payout.js)
+    houseCommission: 0.2,
+    
+    // Relative size of each pattern's share of the prize pool
+    winMultipliers: {
+        '75ball': {
+            'row': 1.5,
+            'column': 1.5,
+            'diagonal': 2,
+            'four-corners': 1.2,
+            'full-house': 3
+        },
+        '90ball': {
+            'one-line': 1.2,
+            'two-lines': 1.5,
+            'full-house': 2
+        },
+        '30ball': {
+            'full-house': 1.5
+        },
+        '50ball': {
+            'row': 1.5,
+            'column': 1.5,
+            'diagonal': 2,
+            'four-corners': 1.2,
+            'full-house': 2.5
+        },
+        'pattern': {
+            'x-pattern': 2,
+            'frame': 1.8,
+            'postage-stamp': 1.5,
+            'small-diamond': 1.3
+        },
+        'coverall': {
+            'full-board': 4
+        }
+    },
+    
+    // Built-in shapes for pattern bingo; admins can add their own to the library
+    patterns: {
+        'x-pattern': {
+            name: { am: 'X ንድፍ', en: 'X pattern' },
+            cells: ['0-0', '0-4', '1-1', '1-3', '2-2', '3-1', '3-3', '4-0', '4-4']
+        },
+        'frame': {
+            name: { am: 'አውራ ቀለበት', en: 'Frame' },
+            cells: ['0-0', '0-1', '0-2', '0-3', '0-4', '4-0', '4-1', '4-2', '4-3', '4-4', 
+                    '1-0', '2-0', '3-0', '1-4', '2-4', '3-4']
+        },
+        'postage-stamp': {
+            name: { am: 'ማህተም', en: 'Postage stamp' },
+            cells: ['0-0', '0-1', '1-0', '1-1', '3-3', '3-4', '4-3', '4-4']
+        },
+        'small-diamond': {
+            name: { am: 'ዲያምንድ', en: 'Small diamond' },
+            cells: ['1-2', '2-1', '2-2', '2-3', '3-2']
+        }
+    },
+    
+    // Progressive sessions: prizes won in order within one draw, each paid
+    // from its share of the pot (the stakes of the cards in play)
+    prizeStages: {
+        '75ball': [
+            { id: 'row', name: { am: 'ረድፍ', en: 'Line' }, share: 0.3 },
+            { id: 'full-house', name: { am: 'ሙሉ ቤት', en: 'Full house' }, share: 0.7 }
+        ],
+        '90ball': [
+            { id: 'one-line', name: { am: 'አንድ ረድፍ', en: 'One line' }, share: 0.2 },
+            { id: 'two-lines', name: { am: 'ሁለት ረድፍ', en: 'Two lines' }, share: 0.3 },
+            { id: 'full-house', name: { am: 'ሙሉ ቤት', en: 'Full house' }, share: 0.5 }
+        ],
+        '50ball': [
+            { id: 'row', name: { am: 'ረድፍ', en: 'Line' }, share: 0.3 },
+            { id: 'full-house', name: { am: 'ሙሉ ቤት', en: 'Full house' }, share: 0.7 }
+        ]
+    },
+    
+    // Whole-card patterns a pattern-bingo stage can ask for (line → X → full house)
+    patternLines: {
+        'row': { name: { am: 'ረድፍ', en: 'Line' }, multiplier: 1.2 },
+        'full-house': { name: { am: 'ሙሉ ቤት', en: 'Full house' }, multiplier: 3 }
+    },
+    
+    // Limits for admin-drawn patterns (5×5 grid)
+    patternGridSize: 5,
+    maxPatternMultiplier: 20
+};
@@ -0,0 +1,69 @@
+// audit.js - Append-only log of privileged actions
+//
+// Admin actions that change something, admin logins and settled payments are
+// recorded with who did them, when, the room and player they touched and
+// their parameters. Entries are appended to audit.jsonl in the data directory
+// and never edited or removed, so the file can be used to settle disputes.
+import path from 'node:path';
+import { SERVER_CONFIG } from './config.js';
+import { readJsonLines, appendJsonLine } from './files.js';
+import { SECRET_FIELDS } from '../protocol.js';
+
+const AUDIT_FILE = path.join(SERVER_CONFIG.dataDir, 'audit.jsonl');
+
+// Every entry in recording order
+const entries = [];
+
+// Replay the saved log
+export function loadAuditLog() {
+    readJsonLines(AUDIT_FILE, 'audit log').forEach(entry => entries.push(Object.freeze(entry)));
+}
+
+// Record an action. `actor` is an admin username, or e.g. "provider:mock" for
+// things the server did on someone else's word; `outcome` is 'ok' unless the
+// action was refused.
+export function recordAudit({ actor, role = null, action, roomId = null, playerId = null, params = {}, outcome = 'ok' }) {
+    const entry = Object.freeze({
+        id: `audit-${String(entries.length + 1).padStart(8, '0')}`,
+        timestamp: Date.now(),
+        actor,
+        role,
+        action,
+        roomId,
+        playerId,
+        params: redact(params),
+        outcome
+    });
+
+    appendJsonLine(AUDIT_FILE, entry);
+    entries.push(entry);
+
+    return entry;
+}
+
+// Entries matching every given filter, newest first. `from` and `to` are
+// timestamps; the other filters match exactly.
+export function queryAuditLog({ action, actor, roomId, playerId, outcome, from, to } = {}, limit = Infinity) {
+    const matches = [];
+
+    for (let i = entries.length - 1; i >= 0 && matches.length < limit; i--) {
+        const entry = entries[i];
+        if (action && entry.action !== action) continue;
+        if (actor && entry.actor !== actor) continue;
+        if (roomId && entry.roomId !== roomId) continue;
+        if (playerId && entry.playerId !== playerId) continue;
+        if (outcome && entry.outcome !== outcome) continue;
+        if (from && entry.timestamp < from) continue;
+        if (to && entry.timestamp > to) continue;
+        matches.push(entry);
+    }
+
+    return matches;
+}
+
+function redact(params) {
+    if (!params || typeof params !== 'object') return {};
+
+    return Object.fromEntries(Object.entries(params)
+        .filter(([key, value]) => !SECRET_FIELDS.includes(key) && value !== undefined));
+}
@@ -0,0 +1,286 @@
+// auth.js - Admin accounts, logins and signed session tokens
+//
+// Passwords are stored as scrypt hashes in admins.json in the data directory.
+// A login opens a session and returns a short-lived token (HMAC-signed, like a
+// compact JWT) that the admin panel sends as `token` in its hello message and
+// refreshes before it expires. Sessions live in memory, so a restart logs
+// every admin out; logging out revokes the session at once. Each account has a
+// role (see roles.js) that limits which admin actions it may use.
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { SERVER_CONFIG } from './config.js';
+import { readJsonFile, writeJsonFile } from './files.js';
+import { DEFAULT_ROLE, isAdminRole, getRoleActions } from './roles.js';
+
+const ADMINS_FILE = path.join(SERVER_CONFIG.dataDir, 'admins.json');
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/i;
+
+// Failed logins before an account is locked for a while
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+
+// Accounts keyed by username
+const admins = new Map();
+
+// Open sessions keyed by session ID
+const sessions = new Map();
+
+// Recent failed logins keyed by username
+const loginFailures = new Map();
+
+// Tokens are signed with the configured secret, or one made up at start
+const tokenSecret = SERVER_CONFIG.adminTokenSecret || crypto.randomBytes(32).toString('hex');
+
+// Read the admin accounts; the first start creates one from the environment
+// (or with a random password printed to the console)
+export function loadAdmins() {
+    // An unreadable file is left alone rather than replaced with a new account
+    const saved = readJsonFile(ADMINS_FILE, 'admin accounts');
+    if (saved === null) return;
+
+    (Array.isArray(saved) ? saved : []).forEach(account => {
+        if (account && account.username && account.salt && account.hash) {
+            admins.set(account.username, account);
+        }
+    });
+
+    if (admins.size === 0) {
+        const password = SERVER_CONFIG.adminPassword || crypto.randomBytes(9).toString('base64url');
+        setAdminPassword(SERVER_CONFIG.adminUsername, password, 'owner');
+
+        if (!SERVER_CONFIG.adminPassword) {
+            console.log(`Created admin account "${SERVER_CONFIG.adminUsername}" with password ${password}`);
+        }
+    }
+}
+
+// Create an account or replace its password; the role is kept unless given
+export function setAdminPassword(username, password, role = null) {
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const existing = admins.get(username);
+
+    admins.set(username, {
+        ...existing,
+        username,
+        salt,
+        hash: hashPassword(password, salt),
+        role: role || existing?.role || DEFAULT_ROLE,
+        createdAt: existing ? existing.createdAt : Date.now(),
+        updatedAt: Date.now()
+    });
+    persist();
+}
+
+// Create an account (password and role needed) or change an existing one's
+// password and/or role. There must always be an owner left.
+export function saveAdminAccount(username, { password, role } = {}) {
+    const name = String(username || '').trim();
+    if (!USERNAME_PATTERN.test(name)) {
+        throw new Error('Username must be 3-32 letters, digits, dots, dashes or underscores');
+    }
+
+    if (role && !isAdminRole(role)) {
+        throw new Error(`Unknown role: ${role}`);
+    }
+
+    const existing = admins.get(name);
+    if (!existing && (!password || !role)) {
+        throw new Error('New admin accounts need a password and a role');
+    }
+
+    if (existing && role && role !== 'owner' && isLastOwner(existing)) {
+        throw new Error('There must be at least one owner');
+    }
+
+    if (password) {
+        setAdminPassword(name, password, role);
+    } else if (role) {
+        admins.set(name, { ...existing, role, updatedAt: Date.now() });
+        persist();
+    }
+
+    return describeAccount(admins.get(name));
+}
+
+// Remove an account and end its sessions
+export function deleteAdminAccount(username) {
+    const account = admins.get(username);
+    if (!account) {
+        throw new Error('Admin account not found');
+    }
+
+    if (isLastOwner(account)) {
+        throw new Error('There must be at least one owner');
+    }
+
+    admins.delete(username);
+    sessions.forEach((session, id) => {
+        if (session.username === username) sessions.delete(id);
+    });
+    persist();
+}
+
+// Accounts without their password hashes
+export function listAdminAccounts() {
+    return Array.from(admins.values())
+        .map(describeAccount)
+        .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+// Role of an account, or null once it is deleted
+export function getAdminRole(username) {
+    const account = admins.get(username);
+    return account ? account.role || DEFAULT_ROLE : null;
+}
+
+// Check a username and password and open a session; throws on a bad login
+export function loginAdmin(username, password) {
+    const failures = loginFailures.get(username);
+    if (failures && failures.lockedUntil > Date.now()) {
+        throw new Error('Too many failed logins, try again later');
+    }
+
+    const account = admins.get(username);
+    if (!account || !checkPassword(password, account)) {
+        if (account) recordFailure(username);
+        throw new Error('Invalid username or password');
+    }
+
+    loginFailures.delete(username);
+
+    const now = Date.now();
+    const session = {
+        id: crypto.randomUUID(),
+        username,
+        createdAt: now,
+        expiresAt: now + SERVER_CONFIG.adminSessionMaxMs
+    };
+    sessions.set(session.id, session);
+
+    return issueToken(session);
+}
+
+// Session behind a token, or null when the token is forged, expired or revoked
+export function verifyAdminToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    const session = sessions.get(claims.sid);
+    if (!session || session.username !== claims.sub) return null;
+
+    if (session.expiresAt <= Date.now()) {
+        sessions.delete(session.id);
+        return null;
+    }
+
+    return claims.exp > Date.now() ? session : null;
+}
+
+// New token for the same session; throws once the token or session is gone
+export function refreshAdminToken(token) {
+    const session = verifyAdminToken(token);
+    if (!session) {
+        throw new Error('Admin session expired, please log in again');
+    }
+
+    return issueToken(session);
+}
+
+export function logoutAdmin(token) {
+    const session = verifyAdminToken(token);
+    if (session) {
+        sessions.delete(session.id);
+    }
+}
+
+// Change the password of a logged-in admin, who must know the current one
+export function changeAdminPassword(username, currentPassword, newPassword) {
+    const account = admins.get(username);
+    if (!account || !checkPassword(currentPassword, account)) {
+        throw new Error('Current password is wrong');
+    }
+
+    setAdminPassword(username, newPassword);
+}
+
+// Tokens never outlive their session
+function issueToken(session) {
+    const expiresAt = Math.min(Date.now() + SERVER_CONFIG.adminTokenTtlMs, session.expiresAt);
+    const payload = Buffer.from(JSON.stringify({
+        sub: session.username,
+        sid: session.id,
+        exp: expiresAt
+    })).toString('base64url');
+
+    const role = getAdminRole(session.username);
+    return {
+        token: `${payload}.${sign(payload)}`,
+        username: session.username,
+        role,
+        actions: getRoleActions(role),
+        expiresAt
+    };
+}
+
+function describeAccount(account) {
+    return {
+        username: account.username,
+        role: account.role || DEFAULT_ROLE,
+        createdAt: account.createdAt,
+        updatedAt: account.updatedAt
+    };
+}
+
+function isLastOwner(account) {
+    if ((account.role || DEFAULT_ROLE) !== 'owner') return false;
+    return Array.from(admins.values()).filter(a => (a.role || DEFAULT_ROLE) === 'owner').length === 1;
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', tokenSecret).update(payload).digest('base64url');
+}
+
+function hashPassword(password, salt) {
+    return crypto.scryptSync(String(password), salt, KEY_LENGTH).toString('hex');
+}
+
+function checkPassword(password, account) {
+    const expected = Buffer.from(account.hash, 'hex');
+    const given = Buffer.from(hashPassword(password, account.salt), 'hex');
+    return crypto.timingSafeEqual(expected, given);
+}
+
+function recordFailure(username) {
+    const failures = loginFailures.get(username) || { count: 0, lockedUntil: 0 };
+    failures.count++;
+
+    if (failures.count >= MAX_LOGIN_FAILURES) {
+        failures.count = 0;
+        failures.lockedUntil = Date.now() + LOGIN_LOCK_MS;
+    }
+
+    loginFailures.set(username, failures);
+}
+
+function persist() {
+    writeJsonFile(ADMINS_FILE, Array.from(admins.values()));
+}
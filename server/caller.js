@@ -0,0 +1,51 @@
+// caller.js - Server-side number caller with a committed draw sequence
+import crypto from 'node:crypto';
+import { buildDrawSequence, drawCommitmentPayload, DRAW_ALGORITHM } from '../draw.js';
+
+// Prepare a fresh draw for a board range and commit to it
+export function createDraw(range) {
+    const seed = crypto.randomBytes(16).toString('hex');
+    const sequence = buildDrawSequence(seed, range);
+    const commitment = crypto.createHash('sha256')
+        .update(drawCommitmentPayload(seed, sequence))
+        .digest('hex');
+
+    return {
+        seed,
+        range,
+        sequence,
+        commitment,
+        position: 0,
+        startedAt: Date.now()
+    };
+}
+
+// Next number in the committed order, or null when exhausted
+export function drawNext(draw) {
+    if (draw.position >= draw.sequence.length) {
+        return null;
+    }
+    return draw.sequence[draw.position++];
+}
+
+export function isDrawExhausted(draw) {
+    return draw.position >= draw.sequence.length;
+}
+
+// What players see while the game runs (never the seed)
+export function publicDraw(draw) {
+    return {
+        commitment: draw.commitment,
+        range: draw.range,
+        algorithm: DRAW_ALGORITHM
+    };
+}
+
+// What players see once the game is over
+export function revealDraw(draw) {
+    return {
+        ...publicDraw(draw),
+        seed: draw.seed,
+        calledNumbers: draw.sequence.slice(0, draw.position)
+    };
+}
@@ -0,0 +1,58 @@
+// cards.js - Dealing cards to players
+import { GAME_CONFIG } from '../rules.js';
+import { createCard, getStripBoards, getStripCount } from '../card.js';
+import { players } from './store.js';
+
+export function issueCard(gameType, boardId) {
+    return {
+        ...createCard(gameType, boardId),
+        issuedAt: Date.now()
+    };
+}
+
+// All six tickets of a 90-ball strip
+export function issueStrip(stripId) {
+    return getStripBoards(stripId).map(boardId => issueCard('90ball', boardId));
+}
+
+// Board numbers held by other players in the room
+export function getTakenBoards(room, exceptPlayerId = null) {
+    const taken = new Set();
+
+    room.players.forEach(playerId => {
+        const player = players.get(playerId);
+        if (playerId !== exceptPlayerId && player) {
+            player.cards.forEach(card => taken.add(card.boardId));
+        }
+    });
+
+    return taken;
+}
+
+// Lowest `count` board numbers nobody in the room holds, or null when too few are left
+export function findFreeBoards(room, count, exceptPlayerId = null, exclude = []) {
+    const taken = getTakenBoards(room, exceptPlayerId);
+    exclude.forEach(boardId => taken.add(boardId));
+
+    const free = [];
+    for (let boardId = 1; boardId <= GAME_CONFIG.boardCount && free.length < count; boardId++) {
+        if (!taken.has(boardId)) {
+            free.push(boardId);
+        }
+    }
+
+    return free.length === count ? free : null;
+}
+
+// Lowest strip whose six boards are all free, or null
+export function findFreeStrip(room, exceptPlayerId = null) {
+    const taken = getTakenBoards(room, exceptPlayerId);
+
+    for (let stripId = 1; stripId <= getStripCount(); stripId++) {
+        if (getStripBoards(stripId).every(boardId => !taken.has(boardId))) {
+            return stripId;
+        }
+    }
+
+    return null;
+}
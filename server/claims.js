@@ -0,0 +1,102 @@
+// claims.js - Server-side verification of win claims
+import { checkCardPattern, getDefaultPatterns, getPatternId } from '../patterns.js';
+import { calculatePayouts, getPrize } from '../payout.js';
+import { getRoomPlayers } from './store.js';
+
+// Patterns in play: the admin's pick for pattern bingo, else the game type's table
+export function getRoomPatterns(room) {
+    return room.patterns || getDefaultPatterns(room.gameType);
+}
+
+// Patterns that can be claimed right now; a staged game only takes its current stage
+export function getClaimablePatterns(room) {
+    return room.stage !== null ? [room.patterns[room.stage]] : getRoomPatterns(room);
+}
+
+// Patterns still to be won this game: the stages not reached yet, or every
+// pattern in play that nobody has been paid for
+export function getOpenPatterns(room) {
+    if (!room.gameActive) return [];
+
+    const remaining = room.stage !== null ? room.patterns.slice(room.stage) : getRoomPatterns(room);
+    return remaining
+        .map(getPatternId)
+        .filter(pattern => !room.winners.some(win => win.pattern === pattern));
+}
+
+// Validate a claim against the issued cards and the numbers actually called
+export function verifyClaim(player, room, pattern) {
+    if (!room || !room.gameActive) {
+        return { valid: false, reason: 'No active game' };
+    }
+
+    const target = getClaimablePatterns(room).find(p => getPatternId(p) === pattern);
+    if (!target && room.stage !== null) {
+        return { valid: false, reason: `Stage ${room.stage + 1} is ${getPatternId(room.patterns[room.stage])}` };
+    }
+    if (!target) {
+        return { valid: false, reason: `Pattern ${pattern} is not played in this game` };
+    }
+
+    // Only cards dealt before the first call can win
+    const cards = player.cards.filter(card =>
+        card.gameType === room.gameType && card.issuedAt <= room.draw.startedAt);
+    if (cards.length === 0) {
+        return { valid: false, reason: 'No card issued for this game' };
+    }
+
+    // Each pattern's share of the pool is paid out once per game
+    const alreadyWon = room.winners.some(win => win.pattern === pattern);
+    if (alreadyWon) {
+        return { valid: false, reason: `Pattern ${pattern} already paid` };
+    }
+
+    // Any of the player's tickets may complete the pattern; each one counts
+    // when a shared prize is split by cards
+    const winning = cards.filter(card => checkCardPattern(card, target, room.calledNumbers));
+    if (winning.length === 0) {
+        return { valid: false, reason: `Pattern ${pattern} is not complete with the numbers called` };
+    }
+
+    return {
+        valid: true,
+        cardId: winning[0].id,
+        cardIds: winning.map(card => card.id),
+        amount: getPrizeAmount(room, target)
+    };
+}
+
+// Ways to divide a prize between claims made on the same call
+export const SPLIT_RULES = ['equal', 'cards'];
+
+// Each claim's share of the prize, rounded down (odd birr stay in the house)
+export function splitPrize(prize, claims, rule = 'equal') {
+    const weights = claims.map(claim => rule === 'cards' ? claim.cardIds.length : 1);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return weights.map(weight => Math.floor(prize * weight / total));
+}
+
+// Pattern's share of the prize pool of the current (or last) game
+export function getPrizeAmount(room, pattern) {
+    return getPrize(room.payouts || getRoomPayouts(room), pattern);
+}
+
+// Payout table for a room: fixed while a game runs, otherwise live from every
+// card bought for the next game
+export function getRoomPayouts(room) {
+    if (room.gameActive && room.payouts) {
+        return room.payouts;
+    }
+
+    const paidCards = getRoomPlayers(room)
+        .filter(player => player.cardCost > 0)
+        .reduce((total, player) => total + player.cards.length, 0);
+
+    return calculatePayouts({
+        gameType: room.gameType,
+        stake: room.stake,
+        paidCards,
+        patterns: getRoomPatterns(room)
+    });
+}
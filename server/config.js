@@ -0,0 +1,64 @@
+// config.js - Reference server configuration (override with environment variables)
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MESSAGE_ID_TTL_MS } from '../protocol.js';
+
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+export const SERVER_CONFIG = {
+    name: process.env.SERVER_NAME || 'MEL Bingo reference server',
+    version: '1.0.0',
+    host: process.env.HOST || '0.0.0.0',
+    port: parseInt(process.env.PORT) || 8000,
+    // Paths the clients connect to: index.html/admin.js use /ws, config.js uses /
+    wsPaths: ['/ws', '/'],
+    // Static files are served from the project root so the client runs offline too
+    staticRoot: path.resolve(SERVER_DIR, '..'),
+    // Saved state (custom patterns, wallet ledger, audit log, schedules); never served since it lives under server/
+    dataDir: process.env.DATA_DIR || path.join(SERVER_DIR, 'data'),
+    // Account created on first start when admins.json does not exist yet
+    // (without ADMIN_PASSWORD a random password is printed to the console)
+    adminUsername: process.env.ADMIN_USERNAME || 'admin',
+    adminPassword: process.env.ADMIN_PASSWORD || '',
+    // Key signing admin tokens; without one, tokens end with the process
+    adminTokenSecret: process.env.ADMIN_TOKEN_SECRET || '',
+    // Admin tokens must be refreshed this often; a login lasts at most adminSessionMaxMs
+    adminTokenTtlMs: parseInt(process.env.ADMIN_TOKEN_TTL_MS) || 15 * 60 * 1000,
+    adminSessionMaxMs: 12 * 60 * 60 * 1000,
+    // How often scheduled games are checked, and how long a finished scheduled
+    // room stays open before it is closed
+    scheduleTickMs: 1000,
+    scheduledRoomLingerMs: 60 * 1000,
+    // Buying cards for a scheduled game closes this long before it starts
+    defaultBuyInCloseSeconds: 60,
+    defaultGameType: '75ball',
+    defaultStake: 25,
+    minPayment: 25,
+    minWithdrawal: 25,
+    // Adapter used for deposits and payouts (see payments.js); 'mock' moves no money
+    paymentProvider: process.env.PAYMENT_PROVIDER || 'mock',
+    // The mock credits balances for free, so outside development
+    // (NODE_ENV=development) it only runs with MOCK_PAYMENTS=true. Only that
+    // opt-in lets players pick a mock outcome with `simulate`.
+    development: process.env.NODE_ENV === 'development',
+    mockPayments: process.env.MOCK_PAYMENTS === 'true',
+    // How mock payments end: 'success', 'failure' or 'delayed' (confirmed after the delay)
+    mockPaymentOutcome: process.env.MOCK_PAYMENT_OUTCOME || 'success',
+    mockPaymentDelayMs: parseInt(process.env.MOCK_PAYMENT_DELAY_MS) || 3000,
+    maxChatLength: 500,
+    // Most ledger lines sent for one get_transactions request
+    maxTransactions: 200,
+    // Most audit entries shown in the admin panel at once (exports are not capped)
+    maxAuditEntries: 500,
+    // Valid claims arriving this long after the first one share its prize
+    claimWindowMs: parseInt(process.env.CLAIM_WINDOW_MS) || 3000,
+    // How a shared prize is divided: 'equal' or 'cards' (by winning cards)
+    prizeSplit: process.env.PRIZE_SPLIT || 'equal',
+    // Message IDs remembered per sender so retried messages are handled once
+    // (shared with the clients, which stop replaying messages this old)
+    messageIdTtlMs: MESSAGE_ID_TTL_MS,
+    maxMessageIdsPerSender: 1000,
+    // Sequenced messages kept per connection for clients asking for a resend
+    resendHistorySize: 200,
+    heartbeatInterval: 30000 // 30 seconds
+};
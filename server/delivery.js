@@ -0,0 +1,70 @@
+// delivery.js - Exactly-once handling of client messages
+//
+// Clients tag messages with a messageId and send them again until the server
+// acks them, e.g. after a reconnect. The server remembers each sender's IDs
+// for MESSAGE_ID_TTL_MS, so a retried payment, win or withdrawal is acked
+// again but applied only once. Handled IDs are appended to deliveries.jsonl in
+// the data directory and reloaded on start, so this holds across a restart.
+// Clients must not replay a message older than the TTL (see outbox.js): it
+// would be handled as a new one.
+import path from 'node:path';
+import { SERVER_CONFIG } from './config.js';
+import { readJsonLines, appendJsonLine, writeJsonLines } from './files.js';
+
+const DELIVERIES_FILE = path.join(SERVER_CONFIG.dataDir, 'deliveries.jsonl');
+
+// Sender → Map of messageId → when it was first handled
+const handledMessages = new Map();
+
+// Reload the IDs still within the TTL and rewrite the file with only those
+export function loadDeliveries() {
+    const now = Date.now();
+    readJsonLines(DELIVERIES_FILE, 'deliveries').forEach(({ sender, messageId, handledAt }) => {
+        if (now - handledAt < SERVER_CONFIG.messageIdTtlMs) {
+            remember(sender, messageId, handledAt);
+        }
+    });
+
+    const kept = [];
+    handledMessages.forEach((seen, sender) => {
+        seen.forEach((handledAt, messageId) => kept.push({ sender, messageId, handledAt }));
+    });
+    writeJsonLines(DELIVERIES_FILE, kept);
+}
+
+// True the first time a sender's message ID is seen (and remembers it);
+// false for a retry of a message already handled
+export function isFirstDelivery(sender, messageId) {
+    const now = Date.now();
+    const seen = handledMessages.get(sender);
+
+    if (seen && seen.has(messageId) && now - seen.get(messageId) < SERVER_CONFIG.messageIdTtlMs) {
+        return false;
+    }
+
+    remember(sender, messageId, now);
+    persist({ sender, messageId, handledAt: now });
+    return true;
+}
+
+function remember(sender, messageId, handledAt) {
+    let seen = handledMessages.get(sender);
+
+    if (!seen) {
+        seen = new Map();
+        handledMessages.set(sender, seen);
+    }
+
+    seen.delete(messageId);
+    seen.set(messageId, handledAt);
+
+    // Oldest IDs go first; a retry that late is handled as a new message
+    for (const [id, at] of seen) {
+        if (seen.size <= SERVER_CONFIG.maxMessageIdsPerSender && handledAt - at < SERVER_CONFIG.messageIdTtlMs) break;
+        seen.delete(id);
+    }
+}
+
+function persist(entry) {
+    appendJsonLine(DELIVERIES_FILE, entry);
+}
@@ -0,0 +1,68 @@
+// files.js - Saved state in the data directory
+//
+// Whole-state files (admins.json, payments.json, ...) are rewritten on every
+// change, always to a temporary file first that is then renamed over the old
+// one, so a crash never leaves half a file. Logs (ledger.jsonl, audit.jsonl,
+// ...) get one JSON line appended per entry. A missing file just means
+// nothing was saved yet.
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Parsed contents of a JSON file: `fallback` when there is none yet, null when
+// it cannot be read (logged, naming it by `label`)
+export function readJsonFile(file, label, fallback = []) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        console.error(`Could not read ${label}:`, error.message);
+        return null;
+    }
+}
+
+export function writeJsonFile(file, data) {
+    replaceFile(file, JSON.stringify(data, null, 2));
+}
+
+// Every entry of a log, oldest first; lines that do not parse are skipped
+export function readJsonLines(file, label) {
+    let lines;
+
+    try {
+        lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Could not read ${label}:`, error.message);
+        }
+        return [];
+    }
+
+    const entries = [];
+    lines.forEach((line, i) => {
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            console.error(`Skipping ${label} line ${i + 1}:`, error.message);
+        }
+    });
+    return entries;
+}
+
+export function appendJsonLine(file, entry) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+}
+
+// Replace a log with just these entries (e.g. dropping expired ones)
+export function writeJsonLines(file, entries) {
+    replaceFile(file, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+}
+
+function replaceFile(file, content) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, content);
+    fs.renameSync(tempFile, file);
+}
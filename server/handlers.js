@@ -0,0 +1,2099 @@
+// handlers.js - Protocol message handlers for the reference server
+import crypto from 'node:crypto';
+import { SERVER_CONFIG } from './config.js';
+import { createDraw, drawNext, isDrawExhausted, publicDraw, revealDraw } from './caller.js';
+import { issueCard, issueStrip, getTakenBoards, findFreeBoards, findFreeStrip } from './cards.js';
+import { getStripId, getCardNumbers } from '../card.js';
+import { GAME_CONFIG } from '../rules.js';
+import { verifyClaim, getPrizeAmount, getRoomPayouts, getOpenPatterns, splitPrize, SPLIT_RULES } from './claims.js';
+import { calculatePayouts, getPrize } from '../payout.js';
+import { listPatterns, getPattern, getBuiltInPatterns, savePattern, deletePattern } from './library.js';
+import {
+    transfer,
+    getBalance,
+    getTransactions,
+    getAccountSummary,
+    playerAccount,
+    roomAccount,
+    listFundedAccounts,
+    getOpenStakes,
+    HOUSE_ACCOUNT,
+    CASH_ACCOUNT,
+    WITHDRAWALS_ACCOUNT
+} from './wallet.js';
+import { createWithdrawal, getWithdrawal, updateWithdrawal, listWithdrawals, WITHDRAWAL_STATUSES } from './withdrawals.js';
+import { startDeposit, startPayout, listPayments } from './payments.js';
+import { createSchedule, listSchedules, deleteSchedule, advanceSchedule, setScheduleRoom } from './scheduler.js';
+import {
+    loginAdmin,
+    verifyAdminToken,
+    refreshAdminToken,
+    logoutAdmin,
+    changeAdminPassword,
+    saveAdminAccount,
+    deleteAdminAccount,
+    listAdminAccounts,
+    getAdminRole
+} from './auth.js';
+import { canPerform, getRoleActions } from './roles.js';
+import { recordAudit, queryAuditLog } from './audit.js';
+import { isFirstDelivery } from './delivery.js';
+import { validateMessage, negotiateProtocolVersion, SUPPORTED_PROTOCOL_VERSIONS } from '../protocol.js';
+import {
+    players,
+    rooms,
+    stats,
+    clients,
+    findClientByPlayerId,
+    getOrCreatePlayer,
+    issueResumeToken,
+    checkResumeToken,
+    savePlayers,
+    getOrCreateRoom,
+    createRoom,
+    getRoomPlayers,
+    getBoardType,
+    getCardMarks,
+    serializePlayer
+} from './store.js';
+import {
+    send,
+    sendError,
+    resendFrom,
+    sendToPlayer,
+    broadcastToRoom,
+    broadcastToAdmins,
+    broadcastToRoomAndAdmins,
+    broadcastToAll
+} from './messaging.js';
+
+// Message handlers keyed by message type
+const messageHandlers = {
+    hello: handleHello,
+    resume: handleResume,
+    admin_login: handleAdminLogin,
+    admin_refresh: handleAdminRefresh,
+    admin_logout: handleAdminLogout,
+    register: handleRegister,
+    join_room: handleJoinRoom,
+    leave_room: handleLeaveRoom,
+    get_lobby: handleGetLobby,
+    start_game: handleStartGame,
+    number_called: handleCallNumber,
+    mark: handleMark,
+    win: handleWin,
+    payment: handlePayment,
+    withdraw: handleWithdraw,
+    get_transactions: handleGetTransactions,
+    get_withdrawals: handleGetWithdrawals,
+    chat: handleChat,
+    offer: handleOffer,
+    answer: handleAnswer,
+    ice_candidate: handleIceCandidate,
+    admin_command: handleAdminCommand,
+    resend: handleResend,
+    ping: handlePing,
+    pong: handlePong
+};
+
+// Admin commands keyed by command name
+const adminCommands = {
+    broadcast: adminBroadcast,
+    kick_player: adminKickPlayer,
+    mute_player: adminMutePlayer,
+    get_stats: adminGetStats,
+    get_players: adminGetPlayers,
+    announce_win: adminAnnounceWin,
+    create_room: adminCreateRoom,
+    close_room: adminCloseRoom,
+    end_game: adminEndGame,
+    reset_game: adminResetGame,
+    list_patterns: adminListPatterns,
+    save_pattern: adminSavePattern,
+    delete_pattern: adminDeletePattern,
+    list_withdrawals: adminListWithdrawals,
+    update_withdrawal: adminUpdateWithdrawal,
+    send_payout: adminSendPayout,
+    change_password: adminChangePassword,
+    list_admins: adminListAdmins,
+    save_admin: adminSaveAdmin,
+    delete_admin: adminDeleteAdmin,
+    list_audit: adminListAudit,
+    export_audit: adminExportAudit,
+    list_schedules: adminListSchedules,
+    create_schedule: adminCreateSchedule,
+    delete_schedule: adminDeleteSchedule
+};
+
+// Messages that need an identified (hello/register) player
+const PLAYER_MESSAGES = ['join_room', 'leave_room', 'mark', 'win', 'payment', 'withdraw', 'get_transactions', 'get_withdrawals', 'chat', 'answer'];
+
+// Messages that only admins may send
+const ADMIN_MESSAGES = ['start_game', 'number_called', 'admin_command'];
+
+// Room IDs an admin may pick in start_game. They end up inside onclick
+// handlers on every player's lobby, where escaping HTML is not enough.
+const ROOM_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Admin actions that only read, so they stay out of the audit log
+const READ_ONLY_ACTIONS = ['get_stats', 'get_players', 'list_patterns', 'list_withdrawals', 'list_admins', 'list_audit', 'list_schedules'];
+
+// ===== DISPATCH =====
+
+export function handleMessage(client, data) {
+    let message;
+
+    try {
+        message = JSON.parse(data);
+    } catch (error) {
+        sendError(client, 'Invalid JSON', { code: 'invalid_json' });
+        return;
+    }
+
+    if (!message || typeof message !== 'object' || !message.type) {
+        sendError(client, 'Message missing type', { code: 'invalid_message' });
+        return;
+    }
+
+    client.lastSeen = Date.now();
+
+    // Errors sent while handling a tagged message name it, so the client's
+    // outbox can mark it failed
+    client.replyTo = message.messageId || null;
+    try {
+        dispatchMessage(client, message);
+    } finally {
+        client.replyTo = null;
+    }
+}
+
+function dispatchMessage(client, message) {
+    // Nothing reaches a handler unless it matches the shared protocol schema
+    const problem = validateMessage(message, 'client');
+    if (problem) {
+        console.warn('Rejected message:', problem.message);
+        const { message: text, ...details } = problem;
+        sendError(client, text, details);
+        return;
+    }
+
+    const handler = messageHandlers[message.type];
+
+    if (ADMIN_MESSAGES.includes(message.type) && !client.isAdmin) {
+        sendError(client, 'Admin access required');
+        return;
+    }
+
+    // Every admin action needs a live token, not just an admin connection, and
+    // a role that allows it
+    let adminAction = null;
+    if (ADMIN_MESSAGES.includes(message.type)) {
+        const session = verifyAdminToken(message.token || client.adminToken);
+        if (!session) {
+            client.isAdmin = false;
+            client.adminToken = null;
+            sendError(client, 'Admin session expired, please log in again', { code: 'token_expired' });
+            return;
+        }
+
+        const action = message.type === 'admin_command' ? message.command : message.type;
+        const role = getAdminRole(session.username);
+        adminAction = { actor: session.username, role, action, allowed: canPerform(role, action) };
+    }
+
+    // Admin connections have no player record to act on
+    if (PLAYER_MESSAGES.includes(message.type) && client.isAdmin) {
+        sendError(client, `${message.type} is for players; admin connections have no player account`, { code: 'player_only' });
+        return;
+    }
+
+    // Player messages need a player: one resumed in hello, or made by registering
+    if (PLAYER_MESSAGES.includes(message.type)) {
+        if (!client.playerId) {
+            sendError(client, 'Please register first');
+            return;
+        }
+        if (message.playerId && message.playerId !== client.playerId) {
+            sendError(client, 'Player ID does not match this connection');
+            return;
+        }
+    }
+
+    // A retry of a message already handled is only acked again
+    if (message.messageId && !isFirstDelivery(getSender(client), String(message.messageId))) {
+        send(client, { type: 'ack', messageId: message.messageId, duplicate: true });
+        return;
+    }
+
+    if (adminAction) {
+        const { actor, role, action, allowed } = adminAction;
+
+        // Recorded before it runs, so refused and failing actions leave a trace too
+        if (!allowed || !READ_ONLY_ACTIONS.includes(action)) {
+            const params = message.type === 'admin_command'
+                ? message.data || {}
+                : { ...message, type: undefined, token: undefined, messageId: undefined };
+            recordAudit({
+                actor,
+                role,
+                action,
+                roomId: params.roomId || players.get(params.playerId)?.roomId || null,
+                playerId: params.playerId || null,
+                params,
+                outcome: allowed ? 'ok' : 'forbidden'
+            });
+        }
+
+        if (!allowed) {
+            sendError(client, `Your role does not allow ${action}`, { code: 'forbidden' });
+            sendAck(client, message);
+            return;
+        }
+    }
+
+    try {
+        handler(client, message);
+    } catch (error) {
+        console.error(`Error handling ${message.type}:`, error);
+        sendError(client, 'Internal server error');
+    }
+
+    sendAck(client, message);
+}
+
+// Message IDs are remembered per player (or admin account), so a retry sent
+// from a new connection still counts as a duplicate
+function getSender(client) {
+    if (client.isAdmin && client.adminUser) return `admin:${client.adminUser}`;
+    return client.playerId ? `player:${client.playerId}` : `client:${client.id}`;
+}
+
+// Tells the client it can stop retrying; any reply was sent before this
+function sendAck(client, message) {
+    if (message.messageId) {
+        send(client, { type: 'ack', messageId: message.messageId });
+    }
+}
+
+// A client saw a gap in the event sequence
+function handleResend(client, message) {
+    const fromSeq = parseInt(message.fromSeq);
+
+    if (!resendFrom(client, fromSeq)) {
+        send(client, { type: 'resend_unavailable', fromSeq: fromSeq || null });
+    }
+}
+
+export function handleDisconnect(client) {
+    if (!client.playerId || client.isAdmin) return;
+
+    const player = players.get(client.playerId);
+    if (!player) return;
+
+    // Another connection may have taken over this player already
+    if (findClientByPlayerId(player.id)) return;
+
+    player.connected = false;
+
+    const notice = {
+        type: 'player_disconnected',
+        playerId: player.id,
+        name: player.name,
+        roomId: player.roomId
+    };
+
+    if (player.roomId) {
+        broadcastToRoomAndAdmins(player.roomId, notice, player.id);
+    } else {
+        broadcastToAdmins(notice);
+    }
+}
+
+// ===== CONNECTION =====
+
+// Returns false when the connection was refused
+function handleHello(client, message) {
+    const protocolVersion = negotiateProtocolVersion(message.protocolVersions);
+    if (protocolVersion === null) {
+        sendError(client, 'This app is out of date, please reload it', {
+            code: 'unsupported_protocol',
+            supportedVersions: SUPPORTED_PROTOCOL_VERSIONS
+        });
+        client.connection.close(4002, 'Unsupported protocol');
+        return false;
+    }
+    client.protocolVersion = protocolVersion;
+
+    const wantsAdmin = message.isAdmin === true;
+
+    if (wantsAdmin) {
+        const session = verifyAdminToken(message.token);
+        if (!session) {
+            sendError(client, 'Invalid admin token', { code: 'invalid_token' });
+            client.connection.close(4001, 'Unauthorized');
+            return false;
+        }
+
+        client.isAdmin = true;
+        client.adminToken = message.token;
+        client.adminUser = session.username;
+        client.playerId = message.playerId || `admin_${client.id}`;
+
+        const role = getAdminRole(session.username);
+        send(client, {
+            type: 'welcome',
+            message: 'Admin connected',
+            playerId: client.playerId,
+            isAdmin: true,
+            username: session.username,
+            role,
+            actions: getRoleActions(role),
+            serverInfo: getServerInfo(),
+            protocolVersion
+        });
+        return true;
+    }
+
+    // New players only agree the protocol here; registering makes their account
+    if (!message.playerId) {
+        send(client, {
+            type: 'welcome',
+            message: 'Welcome to MEL Bingo!',
+            serverInfo: getServerInfo(),
+            protocolVersion
+        });
+        return true;
+    }
+
+    const player = resumePlayer(client, message.playerId, message.resumeToken);
+    if (!player) {
+        const reason = players.has(message.playerId)
+            ? 'This player is signed in with another device'
+            : 'Unknown player, please register again';
+        sendError(client, reason, { code: 'resume_denied' });
+        return false;
+    }
+
+    player.deviceInfo = message.deviceInfo || null;
+
+    send(client, {
+        type: 'welcome',
+        message: player.registered ? `Welcome back, ${player.name}!` : 'Welcome to MEL Bingo!',
+        playerId: player.id,
+        balance: getPlayerBalance(player),
+        roomId: player.roomId,
+        serverInfo: getServerInfo(),
+        protocolVersion
+    });
+    return true;
+}
+
+// A hello that also asks for a snapshot, so a reconnected or refreshed player
+// carries on exactly where they were
+function handleResume(client, message) {
+    if (!message.playerId) {
+        sendError(client, 'Resume needs a player ID', { code: 'resume_failed' });
+        return;
+    }
+
+    if (!handleHello(client, { ...message, isAdmin: false })) {
+        return;
+    }
+
+    const player = players.get(message.playerId);
+    const room = player.roomId ? rooms.get(player.roomId) : null;
+
+    send(client, {
+        type: 'resume_state',
+        playerId: player.id,
+        registered: player.registered,
+        player: {
+            name: player.name,
+            phone: player.phone,
+            gameType: player.gameType,
+            stake: player.stake,
+            boardId: player.boardId,
+            strip: player.strip,
+            cardCount: player.cardCount,
+            muted: player.muted
+        },
+        balance: getPlayerBalance(player),
+        room: room ? describePlayerRoom(room, player) : null
+    });
+}
+
+// ===== ADMIN SESSIONS =====
+
+// Trade a username and password for a token to send in the admin hello
+function handleAdminLogin(client, message) {
+    let session;
+
+    try {
+        session = loginAdmin(String(message.username || ''), String(message.password || ''));
+    } catch (error) {
+        recordAudit({ actor: String(message.username || ''), action: 'admin_login', params: { reason: error.message }, outcome: 'failed' });
+        sendError(client, error.message, { code: 'login_failed' });
+        return;
+    }
+
+    recordAudit({ actor: session.username, role: session.role, action: 'admin_login' });
+
+    send(client, { type: 'admin_session', ...session });
+}
+
+function handleAdminRefresh(client, message) {
+    let session;
+
+    try {
+        session = refreshAdminToken(message.token || client.adminToken);
+    } catch (error) {
+        client.isAdmin = false;
+        client.adminToken = null;
+        sendError(client, error.message, { code: 'token_expired' });
+        return;
+    }
+
+    if (client.isAdmin) {
+        client.adminToken = session.token;
+        client.adminUser = session.username;
+    }
+
+    send(client, { type: 'admin_session', ...session });
+}
+
+function handleAdminLogout(client, message) {
+    const session = verifyAdminToken(message.token || client.adminToken);
+    if (session) {
+        recordAudit({ actor: session.username, role: getAdminRole(session.username), action: 'admin_logout' });
+    }
+    logoutAdmin(message.token || client.adminToken);
+
+    client.isAdmin = false;
+    client.adminToken = null;
+    client.adminUser = null;
+
+    send(client, { type: 'admin_logged_out' });
+}
+
+function handleRegister(client, message) {
+    const name = String(message.name || '').trim();
+    const phone = String(message.phone || '').replace(/\s+/g, '');
+
+    if (name.length < 2) {
+        sendError(client, 'Invalid name');
+        return;
+    }
+
+    if (!phone) {
+        sendError(client, 'Invalid phone number');
+        return;
+    }
+
+    // Registering without a player makes a new one; the ID in the message is
+    // not trusted, as IDs are public
+    const player = client.playerId ? attachPlayer(client, client.playerId) : createPlayer(client);
+    player.name = name;
+    player.phone = phone;
+    player.stake = parseInt(message.stake) || SERVER_CONFIG.defaultStake;
+    player.gameType = getBoardType(message.gameType) ? message.gameType : SERVER_CONFIG.defaultGameType;
+    player.boardId = parseInt(message.boardId) || null;
+    player.strip = player.gameType === '90ball' && Boolean(message.strip);
+    player.cardCount = player.strip
+        ? GAME_CONFIG.stripSize
+        : Math.min(Math.max(parseInt(message.cardCount) || 1, 1), GAME_CONFIG.maxCardsPerPlayer);
+    player.registered = true;
+
+    // The first payment is credited once the provider confirms it
+    const amount = parseInt(message.payment) || 0;
+    const payment = amount > 0 ? requestDeposit(client, player, amount, message) : null;
+
+    // A fresh resume token at every registration; earlier ones stop working
+    send(client, {
+        type: 'registration_success',
+        playerId: player.id,
+        resumeToken: issueResumeToken(player),
+        player: serializePlayer(player),
+        balance: getPlayerBalance(player),
+        payment
+    });
+}
+
+// Without a roomId the player goes to the default room of their game type
+function handleJoinRoom(client, message) {
+    const player = players.get(client.playerId);
+
+    if (message.roomId && !rooms.has(message.roomId)) {
+        sendError(client, 'This room is closed or does not exist', { code: 'room_not_found', roomId: message.roomId });
+        return;
+    }
+
+    const room = getOrCreateRoom(message.roomId || `room_${player.gameType}`, player.gameType, player.stake);
+
+    // Scheduled games stop selling cards shortly before they start
+    if (room.buyInClosesAt && Date.now() >= room.buyInClosesAt && player.roomId !== room.id) {
+        sendError(client, 'Buying cards for this game has closed', { code: 'buy_in_closed', roomId: room.id });
+        return;
+    }
+
+    // Claims are verified against these cards, so the server deals them. A board
+    // number can only be held by one player per room.
+    const keepCards = player.roomId === room.id && player.cards.length > 0 &&
+        player.cards.every(card => card.gameType === room.gameType);
+    let cards = player.cards;
+
+    // Cards are public (board + seed), so one dealt mid-game could be picked
+    // because it already wins; players rejoining keep the cards they hold
+    if (!keepCards && room.gameActive) {
+        sendError(client, 'A game is running in this room, wait for the next one', { code: 'game_running', roomId: room.id });
+        return;
+    }
+
+    if (!keepCards) {
+        const requested = parseInt(message.boardId || player.boardId) || null;
+        const taken = getTakenBoards(room, player.id);
+
+        try {
+            if (player.strip && room.gameType === '90ball') {
+                const stripId = requested ? getStripId(requested) : findFreeStrip(room, player.id);
+                if (!stripId) {
+                    sendError(client, 'No full strips left in this room', { code: 'room_full' });
+                    return;
+                }
+
+                cards = issueStrip(stripId);
+                const held = cards.find(card => taken.has(card.boardId));
+                if (held) {
+                    sendError(client, `Board ${held.boardId} of strip ${stripId} is already taken in this room`, { code: 'board_taken', boardId: held.boardId });
+                    return;
+                }
+            } else {
+                if (requested && taken.has(requested)) {
+                    sendError(client, `Board ${requested} is already taken in this room`, { code: 'board_taken', boardId: requested });
+                    return;
+                }
+
+                // The requested board comes first, the rest are the lowest free ones
+                const boardIds = requested
+                    ? [requested, ...(findFreeBoards(room, player.cardCount - 1, player.id, [requested]) || [])]
+                    : findFreeBoards(room, player.cardCount, player.id);
+                if (!boardIds || boardIds.length < player.cardCount) {
+                    sendError(client, `Not enough boards left in this room for ${player.cardCount} cards`, { code: 'room_full' });
+                    return;
+                }
+
+                cards = boardIds.map(boardId => issueCard(room.gameType, boardId));
+            }
+        } catch (error) {
+            sendError(client, error.message);
+            return;
+        }
+
+        // Every card costs one stake; cards being replaced are refunded first
+        const cost = room.stake * cards.length;
+        if (getPlayerBalance(player) + player.cardCost < cost) {
+            sendError(client, `Insufficient balance for ${cards.length} cards (${cost} ETB)`, { code: 'insufficient_balance', cost });
+            return;
+        }
+    }
+
+    if (player.roomId && player.roomId !== room.id) {
+        removePlayerFromRoom(player);
+    }
+
+    if (!keepCards) {
+        refundCards(player, room.id);
+        player.cardCost = room.stake * cards.length;
+        postTransaction(player.id, {
+            type: 'stake',
+            from: playerAccount(player.id),
+            to: roomAccount(room.id),
+            amount: player.cardCost,
+            roomId: room.id,
+            memo: `${cards.length} × ${room.stake} ETB`
+        });
+        player.marks.clear();
+    }
+
+    room.players.add(player.id);
+    player.roomId = room.id;
+    player.cards = cards;
+    player.boardId = cards[0].boardId;
+
+    send(client, { type: 'room_joined', ...describePlayerRoom(room, player) });
+
+    broadcastToRoom(room.id, {
+        type: 'player_joined',
+        playerId: player.id,
+        name: player.name,
+        stake: player.stake,
+        roomId: room.id
+    }, player.id);
+
+    broadcastToAdmins({
+        type: 'player_joined',
+        playerId: player.id,
+        name: player.name,
+        phone: player.phone,
+        stake: player.stake,
+        gameType: player.gameType,
+        cardCount: player.cards.length,
+        roomId: room.id
+    });
+
+    broadcastPayouts(room);
+    broadcastRoomUpdate(room);
+}
+
+// Everything a player needs to play in their room: the game so far, their
+// cards and marks, and the prizes still to be won
+function describePlayerRoom(room, player) {
+    return {
+        roomId: room.id,
+        name: room.name,
+        startsAt: room.startsAt,
+        scheduleId: room.scheduleId,
+        minPlayers: room.minPlayers,
+        buyInClosesAt: room.buyInClosesAt,
+        gameType: room.gameType,
+        stake: room.stake,
+        gameActive: room.gameActive,
+        calledNumbers: room.calledNumbers,
+        draw: room.gameActive && room.draw ? publicDraw(room.draw) : null,
+        patterns: room.patterns,
+        stage: room.stage,
+        openPatterns: getOpenPatterns(room),
+        winners: room.gameActive ? room.winners : [],
+        payouts: getRoomPayouts(room),
+        cards: player.cards,
+        marks: Object.fromEntries(player.cards.map(card => [card.id, Array.from(player.marks.get(card.id) || [])])),
+        cardCost: player.cardCost,
+        balance: getPlayerBalance(player),
+        players: getRoomPlayers(room).map(p => ({ id: p.id, name: p.name, stake: p.stake }))
+    };
+}
+
+function handleLeaveRoom(client) {
+    const player = players.get(client.playerId);
+
+    if (!player.roomId) {
+        sendError(client, 'Not in a room');
+        return;
+    }
+
+    const roomId = player.roomId;
+    removePlayerFromRoom(player);
+
+    send(client, { type: 'room_left', roomId });
+}
+
+// ===== LOBBY =====
+
+// Open rooms, soonest start first; anyone connected may look
+function handleGetLobby(client) {
+    const list = Array.from(rooms.values())
+        .map(describeRoom)
+        .sort((a, b) => (a.startsAt || a.createdAt) - (b.startsAt || b.createdAt));
+
+    send(client, { type: 'lobby', rooms: list });
+}
+
+// What the lobby shows for a room
+function describeRoom(room) {
+    return {
+        id: room.id,
+        name: room.name,
+        gameType: room.gameType,
+        stake: room.stake,
+        playerCount: room.players.size,
+        pot: getRoomPayouts(room).pot,
+        startsAt: room.startsAt,
+        scheduleId: room.scheduleId,
+        minPlayers: room.minPlayers,
+        buyInClosesAt: room.buyInClosesAt,
+        gameActive: room.gameActive,
+        callCount: room.calledNumbers.length,
+        createdAt: room.createdAt
+    };
+}
+
+// Lobbies everywhere follow player counts, pots and game status
+function broadcastRoomUpdate(room) {
+    broadcastToAll({ type: 'room_updated', room: describeRoom(room) });
+}
+
+// ===== RESTART =====
+
+// Rooms are not saved, but the money in them is (wallet.js). A room's account
+// is back at zero after every game and no stakes come in while one runs, so
+// what is left at start belongs to the stakes paid since. Called once on
+// start: stakes for a game that never started are refunded in full, and what
+// is left of a game cut short is shared by its stakes (rounding goes to the
+// house).
+export function refundOpenRooms() {
+    listFundedAccounts(roomAccount('')).forEach(account => {
+        const roomId = account.slice(roomAccount('').length);
+        const stakes = Array.from(getOpenStakes(account)).filter(([, paid]) => paid > 0);
+        const paidIn = stakes.reduce((total, [, paid]) => total + paid, 0);
+        const pool = Math.min(getBalance(account), paidIn);
+
+        stakes.forEach(([playerId, paid]) => {
+            const amount = Math.floor(pool * paid / paidIn);
+            if (amount > 0) {
+                transfer({
+                    type: 'refund',
+                    from: account,
+                    to: playerAccount(playerId),
+                    amount,
+                    playerId,
+                    roomId,
+                    memo: 'Game called off by a server restart'
+                });
+            }
+        });
+
+        const left = getBalance(account);
+        if (left > 0) {
+            transfer({ type: 'commission', from: account, to: HOUSE_ACCOUNT, amount: left, roomId, memo: 'Unclaimed prizes' });
+        }
+    });
+}
+
+// ===== SCHEDULED GAMES =====
+
+// Called every SERVER_CONFIG.scheduleTickMs. Each schedule keeps one lobby room
+// open for its next game; at the start time the game starts if enough players
+// bought cards, otherwise the room is closed and everyone refunded. Finished
+// scheduled rooms are closed once players have had a moment to see the results.
+export function runSchedules(now = Date.now()) {
+    listSchedules().forEach(schedule => {
+        let room = schedule.roomId ? rooms.get(schedule.roomId) : null;
+
+        if (!room) {
+            // Games missed while the server was down are skipped
+            if (schedule.nextAt <= now && !advanceSchedule(schedule.id, now)) return;
+            room = openScheduledRoom(schedule);
+        }
+
+        if (now < room.startsAt) return;
+
+        // An admin may already have started the game by hand
+        if (!room.gameActive && room.endedAt === null) {
+            startScheduledGame(room);
+        }
+
+        advanceSchedule(schedule.id, now);
+    });
+
+    Array.from(rooms.values())
+        .filter(room => room.scheduleId && room.endedAt && !room.gameActive &&
+            now - room.endedAt >= SERVER_CONFIG.scheduledRoomLingerMs)
+        .forEach(room => closeRoom(room, 'game_over'));
+}
+
+function openScheduledRoom(schedule) {
+    const room = createRoom({
+        name: schedule.name,
+        gameType: schedule.gameType,
+        stake: schedule.stake,
+        startsAt: schedule.nextAt,
+        createdBy: schedule.createdBy,
+        scheduleId: schedule.id,
+        minPlayers: schedule.minPlayers,
+        buyInClosesAt: schedule.nextAt - schedule.buyInCloseSeconds * 1000
+    });
+
+    setScheduleRoom(schedule.id, room.id);
+    broadcastRoomUpdate(room);
+
+    return room;
+}
+
+function startScheduledGame(room) {
+    const playerCount = room.players.size;
+    const error = playerCount < room.minPlayers
+        ? `Only ${playerCount} of ${room.minPlayers} players`
+        : startGame(room);
+
+    recordAudit({
+        actor: 'scheduler',
+        action: error ? 'scheduled_cancel' : 'scheduled_start',
+        roomId: room.id,
+        params: { scheduleId: room.scheduleId, playerCount, reason: error || undefined },
+        outcome: error ? 'failed' : 'ok'
+    });
+
+    if (error) {
+        console.log(`Scheduled game in ${room.id} cancelled: ${error}`);
+        closeRoom(room, 'not_enough_players');
+    }
+}
+
+// ===== GAME FLOW =====
+
+function handleStartGame(client, message) {
+    const roomId = message.roomId || `room_${Date.now()}`;
+    if (!ROOM_ID_PATTERN.test(roomId)) {
+        sendError(client, 'Room IDs may only use letters, digits, _ and -');
+        return;
+    }
+    const room = getOrCreateRoom(roomId, message.gameType, message.stake);
+
+    if (room.gameActive) {
+        sendError(client, 'A game is already running in this room');
+        return;
+    }
+
+    // Players already in the room hold cards for its type and stake
+    if (room.players.size === 0 && message.gameType && getBoardType(message.gameType)) {
+        room.gameType = message.gameType;
+    }
+    if (room.players.size === 0 && message.stake) {
+        room.stake = parseInt(message.stake) || room.stake;
+    }
+
+    const error = startGame(room, message);
+    if (error) {
+        sendError(client, error);
+    }
+}
+
+// Deal a fresh draw and start the room's game; returns why it could not start,
+// or null. Options are the start_game fields (progressive, stages, patterns, split).
+function startGame(room, options = {}) {
+    // Pattern bingo plays the shapes the admin picked from the library, either
+    // all at once or as stages won one after another (e.g. row → x-pattern → full-house).
+    // Progressive sessions play the game type's prize stages instead.
+    room.patterns = null;
+    room.stage = null;
+    if (options.progressive) {
+        const stages = GAME_CONFIG.prizeStages[room.gameType];
+        if (!stages) {
+            return `No progressive prizes for ${room.gameType}`;
+        }
+
+        room.patterns = stages.map(stage => ({ ...stage }));
+        room.stage = 0;
+    } else if (room.gameType === 'pattern') {
+        const staged = Array.isArray(options.stages) && options.stages.length > 0;
+        const ids = staged ? options.stages : (Array.isArray(options.patterns) ? options.patterns : []);
+        const chosen = ids.map(id => getPattern(id));
+        const unknown = ids.find((id, i) => !chosen[i]);
+
+        if (unknown) {
+            return `Unknown pattern: ${unknown}`;
+        }
+
+        room.patterns = chosen.length > 0 ? chosen : getBuiltInPatterns();
+        room.stage = staged ? 0 : null;
+    }
+
+    // Bingos on the same call share the prize equally or by winning cards
+    room.split = SPLIT_RULES.includes(options.split) ? options.split : SERVER_CONFIG.prizeSplit;
+
+    // Fixed from the cards paid for this game. It must be worked out before
+    // gameActive is set, after which getRoomPayouts returns room.payouts as is.
+    room.payouts = getRoomPayouts(room);
+
+    room.gameActive = true;
+    room.endedAt = null;
+    room.calledNumbers = [];
+    room.winners = [];
+    room.pendingClaims.clear();
+    room.draw = createDraw(getBoardType(room.gameType).range);
+    if (room.payouts.commission > 0) {
+        transfer({
+            type: 'commission',
+            from: roomAccount(room.id),
+            to: HOUSE_ACCOUNT,
+            amount: room.payouts.commission,
+            roomId: room.id,
+            memo: 'House commission'
+        });
+    }
+    // Only cards paid for this game are dealt in; they are spent now and can
+    // no longer be refunded
+    const dealtIn = getRoomPlayers(room).filter(player => player.cardCost > 0);
+    getRoomPlayers(room).forEach(player => {
+        if (player.cardCost === 0) {
+            player.cards = [];
+        }
+        stats.totalStakes += player.cardCost;
+        player.cardCost = 0;
+        player.marks.clear();
+    });
+
+    stats.gamesStarted++;
+
+    broadcastToRoomAndAdmins(room.id, {
+        type: 'game_started',
+        roomId: room.id,
+        gameType: room.gameType,
+        stake: room.stake,
+        playerCount: dealtIn.length,
+        patterns: room.patterns,
+        stage: room.stage,
+        payouts: room.payouts,
+        draw: publicDraw(room.draw)
+    });
+
+    broadcastRoomUpdate(room);
+    return null;
+}
+
+// The caller only asks for the next number; the server decides which one
+function handleCallNumber(client, message) {
+    const room = rooms.get(message.roomId);
+
+    if (!room || !room.gameActive) {
+        sendError(client, 'No active game in this room');
+        return;
+    }
+
+    if (message.number !== undefined && message.number !== null) {
+        console.warn(`Ignoring client-chosen number ${message.number} for room ${room.id}`);
+    }
+
+    // Bingos on the previous call are settled before the next number is drawn
+    settleAllClaims(room);
+    if (!room.gameActive) return;
+
+    const number = drawNext(room.draw);
+    if (number === null) {
+        endGame(room, 'numbers_exhausted');
+        return;
+    }
+
+    room.calledNumbers.push(number);
+    stats.numbersCalled++;
+
+    broadcastToRoomAndAdmins(room.id, {
+        type: 'number_called',
+        roomId: room.id,
+        number,
+        callCount: room.calledNumbers.length,
+        remaining: room.draw.sequence.length - room.draw.position
+    });
+
+    if (isDrawExhausted(room.draw)) {
+        endGame(room, 'numbers_exhausted');
+    }
+}
+
+function handleMark(client, message) {
+    const player = players.get(client.playerId);
+    const number = parseInt(message.number);
+
+    if (!Number.isInteger(number)) {
+        sendError(client, 'Invalid number');
+        return;
+    }
+
+    // A mark without a card ID applies to every card carrying the number
+    const cards = message.cardId
+        ? player.cards.filter(card => card.id === message.cardId)
+        : player.cards.filter(card => getCardNumbers(card).includes(number));
+
+    if (message.cardId && cards.length === 0) {
+        sendError(client, `Card ${message.cardId} is not yours`);
+        return;
+    }
+
+    cards.forEach(card => {
+        const marks = getCardMarks(player, card.id);
+        if (message.marked === false) {
+            marks.delete(number);
+        } else {
+            marks.add(number);
+        }
+    });
+
+    broadcastToAdmins({
+        type: 'player_marked',
+        playerId: player.id,
+        name: player.name,
+        roomId: player.roomId,
+        cardIds: cards.map(card => card.id),
+        number,
+        marked: message.marked !== false
+    });
+}
+
+// Any client-supplied amount is ignored; the payout comes from the rules table
+function handleWin(client, message) {
+    const player = players.get(client.playerId);
+    const room = rooms.get(player.roomId);
+    const pattern = message.pattern || 'full-house';
+
+    const result = verifyClaim(player, room, pattern);
+
+    if (!result.valid) {
+        send(client, {
+            type: 'win_rejected',
+            roomId: player.roomId,
+            pattern,
+            reason: result.reason
+        });
+
+        broadcastToAdmins({
+            type: 'claim_rejected',
+            roomId: player.roomId,
+            playerId: player.id,
+            name: player.name,
+            pattern,
+            reason: result.reason
+        });
+        return;
+    }
+
+    if (room.pendingClaims.get(pattern)?.claims.some(claim => claim.playerId === player.id)) {
+        sendError(client, `Your ${pattern} claim is already waiting for the claim window`);
+        return;
+    }
+
+    queueClaim(player, room, pattern, result);
+}
+
+// ===== MONEY =====
+
+function handlePayment(client, message) {
+    const player = players.get(client.playerId);
+    const amount = parseInt(message.amount) || 0;
+
+    if (amount < SERVER_CONFIG.minPayment) {
+        sendError(client, `Minimum payment is ${SERVER_CONFIG.minPayment} ETB`);
+        return;
+    }
+
+    requestDeposit(client, player, amount, message);
+}
+
+// Start a deposit with the chosen provider; the wallet is credited from
+// handlePaymentUpdate when the provider confirms
+function requestDeposit(client, player, amount, message) {
+    let payment;
+
+    try {
+        payment = startDeposit({
+            playerId: player.id,
+            amount,
+            phone: String(message.phone || player.phone || '').replace(/\s+/g, ''),
+            provider: message.provider || undefined,
+            simulate: message.simulate
+        });
+    } catch (error) {
+        sendError(client, error.message, { code: 'payment_failed' });
+        return null;
+    }
+
+    send(client, { type: 'payment_initiated', payment });
+    return payment;
+}
+
+// Provider news about a deposit or payout (see payments.js)
+export function handlePaymentUpdate(payment, { instructions }) {
+    // Settled payments move money on the provider's word, so they are audited
+    if (payment.status === 'confirmed' || payment.status === 'failed') {
+        recordAudit({
+            actor: `provider:${payment.provider}`,
+            action: `${payment.kind}_${payment.status}`,
+            playerId: payment.playerId,
+            params: {
+                paymentId: payment.id,
+                amount: payment.amount,
+                withdrawalId: payment.withdrawalId,
+                providerReference: payment.providerReference,
+                reason: payment.reason
+            }
+        });
+    }
+
+    if (payment.kind === 'payout') {
+        handlePayoutUpdate(payment);
+        return;
+    }
+
+    switch (payment.status) {
+        case 'pending':
+            sendToPlayer(payment.playerId, { type: 'payment_pending', payment, instructions });
+            break;
+        case 'confirmed':
+            creditPayment(payment);
+            break;
+        case 'failed':
+            sendToPlayer(payment.playerId, { type: 'payment_failed', payment, reason: payment.reason });
+            break;
+    }
+}
+
+function handleWithdraw(client, message) {
+    const player = players.get(client.playerId);
+    const amount = parseInt(message.amount) || 0;
+    const accountNumber = String(message.accountNumber || '').trim();
+
+    if (!accountNumber) {
+        sendError(client, 'Account number required');
+        return;
+    }
+
+    if (amount < SERVER_CONFIG.minWithdrawal) {
+        sendError(client, `Minimum withdrawal is ${SERVER_CONFIG.minWithdrawal} ETB`);
+        return;
+    }
+
+    if (amount > getPlayerBalance(player)) {
+        sendError(client, 'Insufficient balance');
+        return;
+    }
+
+    // The money is held until an admin rejects or pays the request
+    const request = createWithdrawal(player, amount, accountNumber);
+    postTransaction(player.id, {
+        type: 'hold',
+        from: playerAccount(player.id),
+        to: WITHDRAWALS_ACCOUNT,
+        amount,
+        memo: `Withdrawal ${request.id}`
+    });
+
+    send(client, {
+        type: 'withdrawal_processing',
+        amount,
+        accountNumber,
+        newBalance: getPlayerBalance(player),
+        request
+    });
+
+    broadcastToAdmins({
+        type: 'withdrawal_request',
+        playerId: player.id,
+        name: player.name,
+        amount,
+        accountNumber,
+        balance: getPlayerBalance(player),
+        request: describeWithdrawal(request)
+    });
+}
+
+function handleGetWithdrawals(client) {
+    send(client, {
+        type: 'withdrawals',
+        withdrawals: listWithdrawals({ playerId: client.playerId })
+    });
+}
+
+// Statement for the finance page, straight from the ledger
+function handleGetTransactions(client, message) {
+    const player = players.get(client.playerId);
+    const account = playerAccount(player.id);
+    const limit = Math.min(parseInt(message.limit) || SERVER_CONFIG.maxTransactions, SERVER_CONFIG.maxTransactions);
+
+    send(client, {
+        type: 'transactions',
+        balance: getBalance(account),
+        summary: getAccountSummary(account),
+        transactions: getTransactions(account, limit)
+    });
+}
+
+// ===== CHAT =====
+
+function handleChat(client, message) {
+    const player = players.get(client.playerId);
+    const text = String(message.text || '').trim().slice(0, SERVER_CONFIG.maxChatLength);
+    const roomId = message.roomId || player.roomId;
+
+    if (!text) return;
+
+    if (player.muted) {
+        sendError(client, 'You have been muted by a moderator', { code: 'muted' });
+        return;
+    }
+
+    if (!roomId || roomId !== player.roomId) {
+        sendError(client, 'Not in this room');
+        return;
+    }
+
+    broadcastToRoomAndAdmins(roomId, {
+        type: 'chat_message',
+        roomId,
+        playerId: player.id,
+        playerName: player.name,
+        text
+    });
+}
+
+// ===== CALL SIGNALLING =====
+
+// The admin's call to a room (rtc.js) is peer to peer; the server only passes
+// the WebRTC offer, answer and ICE candidates along. An admin's go to the
+// room's players, a player's to the admins with the player's ID.
+function handleOffer(client, message) {
+    if (!client.isAdmin) {
+        sendError(client, 'Admin access required');
+        return;
+    }
+
+    relayToRoom(client, message.roomId, { type: 'offer', roomId: message.roomId, offer: message.offer });
+}
+
+function handleAnswer(client, message) {
+    relayToAdmins(client, { type: 'answer', answer: message.answer });
+}
+
+function handleIceCandidate(client, message) {
+    if (client.isAdmin) {
+        relayToRoom(client, message.roomId, { type: 'ice_candidate', roomId: message.roomId, candidate: message.candidate });
+    } else {
+        relayToAdmins(client, { type: 'ice_candidate', candidate: message.candidate });
+    }
+}
+
+function relayToRoom(client, roomId, message) {
+    if (!rooms.has(roomId)) {
+        sendError(client, 'Room not found');
+        return;
+    }
+
+    broadcastToRoom(roomId, message);
+}
+
+function relayToAdmins(client, message) {
+    const player = players.get(client.playerId);
+
+    if (!player || !player.roomId) {
+        sendError(client, 'Not in a room');
+        return;
+    }
+
+    broadcastToAdmins({ ...message, roomId: player.roomId, playerId: player.id });
+}
+
+// ===== ADMIN =====
+
+function handleAdminCommand(client, message) {
+    const command = adminCommands[message.command];
+
+    if (!command) {
+        sendError(client, `Unknown admin command: ${message.command}`);
+        return;
+    }
+
+    command(client, message.data || {});
+}
+
+function adminBroadcast(client, data) {
+    const text = String(data.message || '').trim();
+    if (!text) {
+        sendError(client, 'Broadcast message is empty');
+        return;
+    }
+
+    const notice = { type: 'admin_message', message: text, roomId: data.roomId || null };
+
+    if (data.roomId) {
+        broadcastToRoomAndAdmins(data.roomId, notice);
+    } else {
+        broadcastToAll(notice);
+    }
+}
+
+function adminKickPlayer(client, data) {
+    const player = players.get(data.playerId);
+    if (!player) {
+        sendError(client, 'Player not found');
+        return;
+    }
+
+    const target = findClientByPlayerId(player.id);
+    removePlayerFromRoom(player);
+
+    if (target) {
+        send(target, { type: 'error', message: 'You have been removed by an admin', code: 'kicked' });
+        target.connection.close(4000, 'Kicked by admin');
+    }
+}
+
+// Muted players stay in the game but cannot chat
+function adminMutePlayer(client, data) {
+    const player = players.get(data.playerId);
+    if (!player) {
+        sendError(client, 'Player not found');
+        return;
+    }
+
+    player.muted = data.muted !== false;
+    savePlayers();
+
+    const notice = { type: 'player_muted', playerId: player.id, name: player.name, muted: player.muted };
+    sendToPlayer(player.id, notice);
+    broadcastToAdmins(notice);
+}
+
+function adminGetStats(client) {
+    const allPlayers = Array.from(players.values());
+
+    send(client, {
+        type: 'stats',
+        stats: {
+            totalPlayers: allPlayers.filter(p => p.registered).length,
+            onlinePlayers: allPlayers.filter(p => p.connected).length,
+            activeRooms: Array.from(rooms.values()).filter(r => r.gameActive).length,
+            totalRooms: rooms.size,
+            connections: clients.size,
+            houseBalance: getBalance(HOUSE_ACCOUNT),
+            ...stats
+        }
+    });
+}
+
+function adminGetPlayers(client, data) {
+    let list = Array.from(players.values()).filter(p => p.registered);
+
+    if (data.roomId) {
+        list = list.filter(p => p.roomId === data.roomId);
+    }
+
+    send(client, {
+        type: 'players_list',
+        roomId: data.roomId || null,
+        players: list.map(serializePlayer)
+    });
+}
+
+function adminAnnounceWin(client, data) {
+    const player = players.get(data.playerId);
+    if (!player) {
+        sendError(client, 'Player not found');
+        return;
+    }
+
+    // Manual override: the admin may set the amount, otherwise use the payout engine
+    const room = rooms.get(player.roomId);
+    const pattern = data.pattern || 'full-house';
+    const definition = room && room.patterns ? room.patterns.find(p => p.id === pattern) : null;
+    let amount;
+    if (data.amount !== undefined) {
+        amount = Math.max(0, parseInt(data.amount) || 0);
+    } else if (room) {
+        amount = getPrizeAmount(room, definition || pattern);
+    } else {
+        amount = getPrize(calculatePayouts({ gameType: player.gameType, stake: player.stake, paidCards: player.cards.length }), pattern);
+    }
+
+    awardWin(player, room, pattern, amount);
+}
+
+// Rooms run side by side; each has its own game type, stake and pot
+function adminCreateRoom(client, data) {
+    const stake = parseInt(data.stake);
+    const startsAt = data.startsAt ? parseInt(data.startsAt) : null;
+
+    if (!getBoardType(data.gameType)) {
+        sendError(client, `Unknown game type: ${data.gameType}`);
+        return;
+    }
+
+    if (!(stake > 0)) {
+        sendError(client, 'Stake must be above 0');
+        return;
+    }
+
+    if (startsAt !== null && !(startsAt > Date.now())) {
+        sendError(client, 'Start time must be in the future');
+        return;
+    }
+
+    const room = createRoom({
+        name: String(data.name || '').trim().slice(0, 60) || null,
+        gameType: data.gameType,
+        stake,
+        startsAt,
+        createdBy: client.adminUser
+    });
+
+    broadcastRoomUpdate(room);
+}
+
+// Players are refunded for cards not yet played and sent back to the lobby
+function adminCloseRoom(client, data) {
+    const room = rooms.get(data.roomId);
+    if (!room) {
+        sendError(client, 'Room not found');
+        return;
+    }
+
+    if (room.gameActive) {
+        sendError(client, 'End the game before closing the room');
+        return;
+    }
+
+    closeRoom(room, 'room_closed');
+}
+
+// Refund and remove everyone, then drop the room from every lobby
+function closeRoom(room, reason) {
+    getRoomPlayers(room).forEach(player => {
+        removePlayerFromRoom(player);
+        sendToPlayer(player.id, { type: 'room_left', roomId: room.id, reason });
+    });
+
+    closeRoomAccount(room);
+    rooms.delete(room.id);
+
+    broadcastToAll({ type: 'room_closed', roomId: room.id, reason });
+}
+
+function adminEndGame(client, data) {
+    const room = rooms.get(data.roomId);
+
+    if (!room || !room.gameActive) {
+        sendError(client, 'No active game in this room');
+        return;
+    }
+
+    endGame(room, 'ended_by_admin');
+}
+
+// The panel clears its game view; the server only acknowledges, but the reset
+// is on the audit log
+function adminResetGame(client, data) {
+    send(client, { type: 'game_reset', roomId: data.roomId || null });
+}
+
+function adminChangePassword(client, data) {
+    try {
+        changeAdminPassword(client.adminUser, data.currentPassword, String(data.newPassword || ''));
+    } catch (error) {
+        sendError(client, error.message);
+        return;
+    }
+
+    send(client, { type: 'password_changed' });
+}
+
+// ===== AUDIT LOG =====
+
+// Filters: action, actor, roomId, playerId, outcome, from, to (timestamps)
+function getAuditFilters(data) {
+    return {
+        action: data.action || undefined,
+        actor: data.actor || undefined,
+        roomId: data.roomId || undefined,
+        playerId: data.playerId || undefined,
+        outcome: data.outcome || undefined,
+        from: parseInt(data.from) || undefined,
+        to: parseInt(data.to) || undefined
+    };
+}
+
+function adminListAudit(client, data) {
+    const limit = Math.min(parseInt(data.limit) || SERVER_CONFIG.maxAuditEntries, SERVER_CONFIG.maxAuditEntries);
+
+    send(client, {
+        type: 'audit_log',
+        entries: queryAuditLog(getAuditFilters(data), limit)
+    });
+}
+
+// Every matching entry, for saving as CSV or JSON in the panel
+function adminExportAudit(client, data) {
+    send(client, {
+        type: 'audit_export',
+        format: data.format === 'json' ? 'json' : 'csv',
+        entries: queryAuditLog(getAuditFilters(data))
+    });
+}
+
+// ===== ADMIN ACCOUNTS =====
+
+function adminListAdmins(client) {
+    send(client, { type: 'admins_list', admins: listAdminAccounts() });
+}
+
+// Create an account, or change its role and/or password
+function adminSaveAdmin(client, data) {
+    let account;
+
+    try {
+        account = saveAdminAccount(data.username, {
+            password: data.password ? String(data.password) : undefined,
+            role: data.role || undefined
+        });
+    } catch (error) {
+        sendError(client, error.message);
+        return;
+    }
+
+    broadcastToAdmins({ type: 'admin_saved', admin: account });
+}
+
+function adminDeleteAdmin(client, data) {
+    if (data.username === client.adminUser) {
+        sendError(client, 'You cannot delete your own account');
+        return;
+    }
+
+    try {
+        deleteAdminAccount(data.username);
+    } catch (error) {
+        sendError(client, error.message);
+        return;
+    }
+
+    broadcastToAdmins({ type: 'admin_deleted', username: data.username });
+}
+
+// ===== SCHEDULES =====
+
+function adminListSchedules(client) {
+    send(client, { type: 'schedules_list', schedules: listSchedules() });
+}
+
+function adminCreateSchedule(client, data) {
+    let schedule;
+
+    try {
+        schedule = createSchedule(data, client.adminUser);
+    } catch (error) {
+        sendError(client, error.message);
+        return;
+    }
+
+    broadcastToAdmins({ type: 'schedule_saved', schedule });
+
+    // Open the room for its first game straight away
+    runSchedules();
+}
+
+// The next game's room goes too unless it is already being played
+function adminDeleteSchedule(client, data) {
+    let schedule;
+
+    try {
+        schedule = deleteSchedule(data.scheduleId);
+    } catch (error) {
+        sendError(client, error.message);
+        return;
+    }
+
+    const room = schedule.roomId ? rooms.get(schedule.roomId) : null;
+    if (room && !room.gameActive) {
+        closeRoom(room, 'schedule_cancelled');
+    }
+
+    broadcastToAdmins({ type: 'schedule_deleted', scheduleId: schedule.id });
+}
+
+// ===== PATTERN LIBRARY =====
+
+function adminListPatterns(client) {
+    send(client, { type: 'patterns_list', patterns: listPatterns() });
+}
+
+function adminSavePattern(client, data) {
+    let pattern;
+
+    try {
+        pattern = savePattern(data.pattern || data);
+    } catch (error) {
+        sendError(client, error.message, { code: 'invalid_pattern' });
+        return;
+    }
+
+    send(client, { type: 'pattern_saved', pattern });
+    broadcastToAdmins({ type: 'patterns_list', patterns: listPatterns() });
+}
+
+function adminDeletePattern(client, data) {
+    try {
+        deletePattern(data.id);
+    } catch (error) {
+        sendError(client, error.message);
+        return;
+    }
+
+    broadcastToAdmins({ type: 'patterns_list', patterns: listPatterns() });
+}
+
+// ===== HEARTBEAT =====
+
+function handlePing(client, message) {
+    send(client, { type: 'pong', timestamp: message.timestamp || Date.now() });
+}
+
+function handlePong() {
+    // lastSeen is already refreshed in handleMessage
+}
+
+// ===== WITHDRAWALS =====
+
+function adminListWithdrawals(client, data) {
+    const status = WITHDRAWAL_STATUSES.includes(data.status) ? data.status : null;
+
+    send(client, {
+        type: 'withdrawals_list',
+        status,
+        withdrawals: listWithdrawals({ status }).map(describeWithdrawal)
+    });
+}
+
+// Approve, reject or mark paid by hand
+function adminUpdateWithdrawal(client, data) {
+    const note = String(data.note || '').trim().slice(0, SERVER_CONFIG.maxChatLength);
+
+    // A payout already sent to a provider settles the request itself
+    if (getPayoutInFlight(data.requestId)) {
+        sendError(client, `Withdrawal ${data.requestId} has a payout in progress`);
+        return;
+    }
+
+    try {
+        changeWithdrawal(data.requestId, data.status, note, client.adminUser);
+    } catch (error) {
+        sendError(client, error.message);
+    }
+}
+
+// Pay an approved request through a provider; it is marked paid on confirmation
+function adminSendPayout(client, data) {
+    const request = getWithdrawal(data.requestId);
+
+    if (!request || request.status !== 'approved') {
+        sendError(client, 'Only approved withdrawals can be paid out');
+        return;
+    }
+
+    if (getPayoutInFlight(request.id)) {
+        sendError(client, `Withdrawal ${request.id} has a payout in progress`);
+        return;
+    }
+
+    let payment;
+    try {
+        payment = startPayout({
+            playerId: request.playerId,
+            amount: request.amount,
+            accountNumber: request.accountNumber,
+            withdrawalId: request.id,
+            provider: data.provider || undefined
+        });
+    } catch (error) {
+        sendError(client, error.message);
+        return;
+    }
+
+    broadcastToAdmins({ type: 'payout_updated', payment });
+}
+
+function handlePayoutUpdate(payment) {
+    broadcastToAdmins({ type: 'payout_updated', payment });
+
+    if (payment.status !== 'confirmed') return;
+
+    try {
+        changeWithdrawal(payment.withdrawalId, 'paid',
+            `Paid by ${payment.provider} (${payment.providerReference || payment.id})`, payment.provider);
+    } catch (error) {
+        console.error(`Payout ${payment.id} confirmed but not recorded:`, error.message);
+    }
+}
+
+function getPayoutInFlight(requestId) {
+    return listPayments({ withdrawalId: requestId })
+        .find(payment => payment.status === 'initiated' || payment.status === 'pending') || null;
+}
+
+// Move a request on and post its money: rejecting gives the held amount back,
+// paying sends it out. Throws when the status change is not allowed.
+function changeWithdrawal(requestId, status, note, by) {
+    const request = updateWithdrawal(requestId, status, note, by);
+
+    const memo = `Withdrawal ${request.id}`;
+
+    if (request.status === 'rejected') {
+        postTransaction(request.playerId, {
+            type: 'release',
+            from: WITHDRAWALS_ACCOUNT,
+            to: playerAccount(request.playerId),
+            amount: request.amount,
+            memo
+        });
+    } else if (request.status === 'paid') {
+        transfer({
+            type: 'withdrawal',
+            from: WITHDRAWALS_ACCOUNT,
+            to: CASH_ACCOUNT,
+            amount: request.amount,
+            playerId: request.playerId,
+            memo
+        });
+        stats.totalWithdrawals += request.amount;
+    }
+
+    sendToPlayer(request.playerId, {
+        type: 'withdrawal_updated',
+        request,
+        balance: getBalance(playerAccount(request.playerId))
+    });
+
+    broadcastToAdmins({
+        type: 'withdrawal_updated',
+        request: describeWithdrawal(request)
+    });
+
+    return request;
+}
+
+// A request plus the player's wallet so admins can judge it
+function describeWithdrawal(request) {
+    const account = playerAccount(request.playerId);
+
+    return {
+        ...request,
+        wallet: getAccountSummary(account),
+        recentTransactions: getTransactions(account, 10)
+    };
+}
+
+// ===== HELPERS =====
+
+// Bind a connection to the player it names, who must prove it with their
+// resume token. An ID the server does not know is never taken on: it may be
+// someone's whose record was lost, and their wallet is still in the ledger.
+// Returns the player, or null.
+function resumePlayer(client, playerId, resumeToken) {
+    const player = players.get(playerId);
+    if (!player || !checkResumeToken(player, resumeToken)) {
+        return null;
+    }
+    return attachPlayer(client, playerId);
+}
+
+// New players always get an ID the server made up
+function createPlayer(client) {
+    return attachPlayer(client, `player_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`);
+}
+
+function attachPlayer(client, playerId) {
+    // A reconnecting player replaces their previous connection
+    const previous = findClientByPlayerId(playerId);
+    if (previous && previous !== client) {
+        previous.playerId = null;
+        previous.connection.close(4002, 'Connected from another session');
+    }
+
+    client.playerId = playerId;
+
+    const player = getOrCreatePlayer(playerId);
+    player.connected = true;
+    return player;
+}
+
+function removePlayerFromRoom(player) {
+    const room = rooms.get(player.roomId);
+    refundCards(player, player.roomId);
+    player.roomId = null;
+    player.cards = [];
+    player.marks.clear();
+
+    if (!room) return;
+
+    room.players.delete(player.id);
+
+    broadcastToRoomAndAdmins(room.id, {
+        type: 'player_left',
+        playerId: player.id,
+        name: player.name,
+        roomId: room.id
+    });
+
+    broadcastPayouts(room);
+    broadcastRoomUpdate(room);
+}
+
+// The prize pool grows and shrinks with paid cards until the game starts
+function broadcastPayouts(room) {
+    if (room.gameActive) return;
+
+    broadcastToRoomAndAdmins(room.id, {
+        type: 'payouts_updated',
+        roomId: room.id,
+        payouts: getRoomPayouts(room)
+    });
+}
+
+function getPlayerBalance(player) {
+    return getBalance(playerAccount(player.id));
+}
+
+// Post a ledger transaction for a player and send them the new statement line
+function postTransaction(playerId, details) {
+    const transaction = transfer({ playerId, ...details });
+    const account = playerAccount(playerId);
+
+    sendToPlayer(playerId, {
+        type: 'transaction_recorded',
+        transaction: getTransactions(account, 1)[0],
+        balance: getBalance(account)
+    });
+
+    return transaction;
+}
+
+// Give back cards bought for a game that has not started yet
+function refundCards(player, roomId) {
+    if (player.cardCost > 0) {
+        postTransaction(player.id, {
+            type: 'refund',
+            from: roomAccount(roomId),
+            to: playerAccount(player.id),
+            amount: player.cardCost,
+            roomId,
+            memo: 'Cards returned before the game'
+        });
+    }
+    player.cardCost = 0;
+}
+
+// A deposit the provider confirmed; the player may be offline by now
+function creditPayment(payment) {
+    const { playerId, amount } = payment;
+
+    postTransaction(playerId, {
+        type: 'deposit',
+        from: CASH_ACCOUNT,
+        to: playerAccount(playerId),
+        amount,
+        memo: `${payment.provider} ${payment.providerReference || payment.id}`
+    });
+    stats.totalPayments += amount;
+    const balance = getBalance(playerAccount(playerId));
+
+    sendToPlayer(playerId, {
+        type: 'payment_confirmed',
+        amount,
+        payment,
+        balance
+    });
+
+    broadcastToAdmins({
+        type: 'player_paid',
+        playerId,
+        name: players.get(playerId)?.name || '',
+        amount,
+        provider: payment.provider,
+        balance
+    });
+}
+
+function awardWin(player, room, pattern, amount, cardId = null) {
+    const win = creditWin(player, room, pattern, amount, cardId ? [cardId] : []);
+
+    if (room) {
+        announceWins(room, pattern, amount, [win]);
+    }
+
+    if (win.stage !== null) {
+        advanceStage(room);
+    }
+}
+
+// Pay one winner and tell them and the admins; the room hears it from announceWins
+function creditWin(player, room, pattern, amount, cardIds, shared = 1) {
+    // Prizes come out of the room's pool; a win awarded outside a room is paid by the house
+    if (amount > 0) {
+        postTransaction(player.id, {
+            type: 'win',
+            from: room ? roomAccount(room.id) : HOUSE_ACCOUNT,
+            to: playerAccount(player.id),
+            amount,
+            roomId: room ? room.id : null,
+            memo: pattern
+        });
+    }
+    stats.totalWins += amount;
+
+    // Stage this win closes in a staged game (null otherwise)
+    const stage = room && room.gameActive && room.stage !== null && room.patterns[room.stage].id === pattern
+        ? room.stage
+        : null;
+
+    const win = {
+        playerId: player.id,
+        name: player.name,
+        pattern,
+        amount,
+        cardId: cardIds[0] || null,
+        cardIds,
+        shared,
+        stage,
+        timestamp: Date.now()
+    };
+
+    if (room) {
+        room.winners.push(win);
+    }
+
+    sendToPlayer(player.id, {
+        type: 'win_confirmed',
+        pattern,
+        amount,
+        cardId: win.cardId,
+        cardIds,
+        shared,
+        stage,
+        balance: getPlayerBalance(player)
+    });
+
+    broadcastToAdmins({
+        type: 'player_won',
+        roomId: room ? room.id : null,
+        ...win
+    });
+
+    return win;
+}
+
+// One announcement per prize, listing everyone who shares it
+function announceWins(room, pattern, prize, wins) {
+    broadcastToRoom(room.id, {
+        type: 'win_announced',
+        roomId: room.id,
+        playerId: wins[0].playerId,
+        winnerName: wins.map(win => win.name).join(', '),
+        pattern,
+        amount: prize,
+        stage: wins[0].stage,
+        split: room.split,
+        winners: wins.map(win => ({
+            playerId: win.playerId,
+            name: win.name,
+            amount: win.amount,
+            cardIds: win.cardIds
+        }))
+    });
+}
+
+// ===== CLAIM WINDOW =====
+
+// Hold a valid claim until the window closes so bingos on the same call share the prize
+function queueClaim(player, room, pattern, result) {
+    let claimWindow = room.pendingClaims.get(pattern);
+
+    if (!claimWindow) {
+        claimWindow = {
+            pattern,
+            prize: result.amount,
+            claims: [],
+            timer: setTimeout(() => settleClaims(room, pattern), SERVER_CONFIG.claimWindowMs)
+        };
+        room.pendingClaims.set(pattern, claimWindow);
+    }
+
+    claimWindow.claims.push({ playerId: player.id, cardIds: result.cardIds });
+
+    sendToPlayer(player.id, {
+        type: 'claim_pending',
+        roomId: room.id,
+        pattern,
+        cardIds: result.cardIds,
+        claimants: claimWindow.claims.length,
+        closesIn: SERVER_CONFIG.claimWindowMs
+    });
+}
+
+// Close a claim window: split its prize between every claim it collected
+function settleClaims(room, pattern) {
+    const claimWindow = room.pendingClaims.get(pattern);
+    if (!claimWindow) return;
+
+    clearTimeout(claimWindow.timer);
+    room.pendingClaims.delete(pattern);
+
+    const claims = claimWindow.claims.filter(claim => players.has(claim.playerId));
+    if (claims.length === 0) return;
+
+    const shares = splitPrize(claimWindow.prize, claims, room.split);
+    const wins = claims.map((claim, i) =>
+        creditWin(players.get(claim.playerId), room, pattern, shares[i], claim.cardIds, claims.length));
+
+    announceWins(room, pattern, claimWindow.prize, wins);
+
+    if (wins[0].stage !== null) {
+        advanceStage(room);
+    }
+}
+
+// A new call (or the end of the game) closes every open window
+function settleAllClaims(room) {
+    Array.from(room.pendingClaims.keys()).forEach(pattern => settleClaims(room, pattern));
+}
+
+// A won stage closes; the next pattern becomes the target, or the game ends
+function advanceStage(room) {
+    room.stage++;
+
+    if (room.stage >= room.patterns.length) {
+        endGame(room, 'all_stages_won');
+        return;
+    }
+
+    broadcastToRoomAndAdmins(room.id, {
+        type: 'stage_changed',
+        roomId: room.id,
+        stage: room.stage,
+        pattern: room.patterns[room.stage]
+    });
+}
+
+// Close the game and reveal the seed so players can verify the draw
+function endGame(room, reason) {
+    // Claims already made are paid first; the last stage may end the game itself
+    settleAllClaims(room);
+    if (!room.gameActive) return;
+
+    room.gameActive = false;
+    room.endedAt = Date.now();
+    closeRoomAccount(room);
+
+    // Cards last one game; players staying in the room buy new ones for the next
+    getRoomPlayers(room)
+        .filter(player => player.cardCost === 0)
+        .forEach(player => {
+            player.cards = [];
+            player.marks.clear();
+        });
+
+    broadcastToRoomAndAdmins(room.id, {
+        type: 'game_ended',
+        roomId: room.id,
+        reason,
+        winners: room.winners,
+        draw: revealDraw(room.draw)
+    });
+
+    broadcastRoomUpdate(room);
+}
+
+// Prizes nobody won (and rounding) go to the house once the game is over;
+// stakes already paid for the next game stay in the room
+function closeRoomAccount(room) {
+    const account = roomAccount(room.id);
+    const nextGame = getRoomPlayers(room).reduce((total, player) => total + player.cardCost, 0);
+    const left = getBalance(account) - nextGame;
+
+    if (left > 0) {
+        transfer({ type: 'commission', from: account, to: HOUSE_ACCOUNT, amount: left, roomId: room.id, memo: 'Unclaimed prizes' });
+    } else if (left < 0) {
+        // Manual prizes above the pool are covered by the house
+        transfer({ type: 'commission', from: HOUSE_ACCOUNT, to: account, amount: -left, roomId: room.id, memo: 'Prizes above the pool' });
+    }
+}
+
+function getServerInfo() {
+    return {
+        name: SERVER_CONFIG.name,
+        version: SERVER_CONFIG.version
+    };
+}
@@ -0,0 +1,217 @@
+// index.js - Local reference game server
+//
+// Speaks the same WebSocket protocol as the hosted backend so the player app
+// and admin panel can be developed offline. Start with `npm start` and open
+// http://localhost:8000/ (WebSocket endpoint: ws://localhost:8000/ws).
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { SERVER_CONFIG } from './config.js';
+import { acceptUpgrade, READY_STATE } from './socket.js';
+import { clients, addClient, removeClient, loadPlayers } from './store.js';
+import { handleMessage, handleDisconnect, handlePaymentUpdate, runSchedules, refundOpenRooms } from './handlers.js';
+import { loadPatternLibrary } from './library.js';
+import { loadLedger } from './wallet.js';
+import { loadAdmins } from './auth.js';
+import { loadAuditLog } from './audit.js';
+import { loadWithdrawals } from './withdrawals.js';
+import { loadSchedules } from './scheduler.js';
+import { loadPayments, registerProvider, onPaymentUpdate, handleCallback } from './payments.js';
+import { loadDeliveries } from './delivery.js';
+import { createMockProvider } from './providers/mock.js';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav'
+};
+
+// Files and folders never served to the browser
+const PRIVATE_PATHS = ['server', 'node_modules', '.git'];
+
+// Largest webhook body accepted from a payment provider
+const MAX_CALLBACK_BYTES = 64 * 1024;
+
+// ===== HTTP =====
+
+function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (url.pathname === '/health') {
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.json'] });
+        res.end(JSON.stringify({ status: 'ok', connections: clients.size }));
+        return;
+    }
+
+    const callback = url.pathname.match(/^\/payments\/callback\/([\w-]+)$/);
+    if (callback && req.method === 'POST') {
+        handlePaymentCallback(callback[1], req, res);
+        return;
+    }
+
+    serveStatic(url.pathname, res);
+}
+
+// Provider webhooks confirming or failing a deposit or payout
+function handlePaymentCallback(providerId, req, res) {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_CALLBACK_BYTES) {
+            res.writeHead(413);
+            res.end('Payload too large');
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+        let payment;
+
+        try {
+            payment = handleCallback(providerId, JSON.parse(Buffer.concat(chunks).toString('utf8')), req.headers);
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': CONTENT_TYPES['.json'] });
+            res.end(JSON.stringify({ error: error.message }));
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.json'] });
+        res.end(JSON.stringify({ id: payment.id, status: payment.status }));
+    });
+}
+
+function serveStatic(pathname, res) {
+    const relativePath = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    const filePath = path.resolve(SERVER_CONFIG.staticRoot, '.' + relativePath);
+    const topLevel = path.relative(SERVER_CONFIG.staticRoot, filePath).split(path.sep)[0];
+
+    if (!filePath.startsWith(SERVER_CONFIG.staticRoot + path.sep) || PRIVATE_PATHS.includes(topLevel)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+
+        const type = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(content);
+    });
+}
+
+// ===== WEBSOCKET =====
+
+function handleUpgrade(req, socket) {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (!SERVER_CONFIG.wsPaths.includes(pathname)) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+
+    const connection = acceptUpgrade(req, socket);
+    if (!connection) return;
+
+    const client = addClient(connection);
+    console.log(`Client ${client.id} connected (${clients.size} online)`);
+
+    connection.on('message', (data) => handleMessage(client, data));
+    connection.on('pong', () => {
+        client.lastSeen = Date.now();
+    });
+    connection.on('close', () => {
+        removeClient(client);
+        handleDisconnect(client);
+        console.log(`Client ${client.id} disconnected (${clients.size} online)`);
+    });
+}
+
+// Drop connections that stopped answering pings
+function startHeartbeat() {
+    return setInterval(() => {
+        const cutoff = Date.now() - SERVER_CONFIG.heartbeatInterval * 2;
+
+        clients.forEach(client => {
+            if (client.connection.readyState !== READY_STATE.OPEN) return;
+
+            if (client.lastSeen < cutoff) {
+                client.connection.close(1001, 'Heartbeat timeout');
+            } else {
+                client.connection.ping();
+            }
+        });
+    }, SERVER_CONFIG.heartbeatInterval);
+}
+
+// ===== STARTUP =====
+
+loadAdmins();
+loadPatternLibrary();
+loadLedger();
+loadPlayers();
+refundOpenRooms();
+loadWithdrawals();
+loadPayments();
+loadDeliveries();
+loadAuditLog();
+loadSchedules();
+
+// The mock hands out free money, so it only exists when it is the configured
+// provider and was opted into (see config.js). It delivers delayed
+// confirmations the way a webhook would.
+const mockAllowed = SERVER_CONFIG.development || SERVER_CONFIG.mockPayments;
+if (SERVER_CONFIG.paymentProvider === 'mock' && !mockAllowed) {
+    console.warn('Payments are off: the mock provider needs NODE_ENV=development or MOCK_PAYMENTS=true');
+}
+if (SERVER_CONFIG.paymentProvider === 'mock' && mockAllowed) {
+    registerProvider(createMockProvider({
+        outcome: SERVER_CONFIG.mockPaymentOutcome,
+        delayMs: SERVER_CONFIG.mockPaymentDelayMs,
+        allowSimulate: SERVER_CONFIG.mockPayments,
+        notify: body => {
+            try {
+                handleCallback('mock', body);
+            } catch (error) {
+                console.error('Mock payment callback failed:', error.message);
+            }
+        }
+    }));
+}
+onPaymentUpdate(handlePaymentUpdate);
+
+const server = http.createServer(handleRequest);
+server.on('upgrade', handleUpgrade);
+
+server.listen(SERVER_CONFIG.port, SERVER_CONFIG.host, () => {
+    console.log(`${SERVER_CONFIG.name} listening on http://localhost:${SERVER_CONFIG.port}`);
+    console.log(`WebSocket endpoint: ws://localhost:${SERVER_CONFIG.port}/ws`);
+});
+
+const heartbeat = startHeartbeat();
+const scheduler = setInterval(() => runSchedules(), SERVER_CONFIG.scheduleTickMs);
+
+function shutdown() {
+    clearInterval(heartbeat);
+    clearInterval(scheduler);
+    clients.forEach(client => client.connection.close(1001, 'Server shutting down'));
+    server.close(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
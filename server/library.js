@@ -0,0 +1,85 @@
+// library.js - Pattern library for pattern bingo
+//
+// Built-in shapes come from GAME_CONFIG.patterns; admin-drawn ones are kept in
+// memory and saved to patterns.json in the data directory.
+import path from 'node:path';
+import { GAME_CONFIG } from '../rules.js';
+import { validatePatternDefinition } from '../patterns.js';
+import { SERVER_CONFIG } from './config.js';
+import { readJsonFile, writeJsonFile } from './files.js';
+
+const LIBRARY_FILE = path.join(SERVER_CONFIG.dataDir, 'patterns.json');
+
+// Custom patterns keyed by ID
+const customPatterns = new Map();
+
+// Read saved patterns
+export function loadPatternLibrary() {
+    const saved = readJsonFile(LIBRARY_FILE, 'pattern library');
+
+    (Array.isArray(saved) ? saved : []).forEach(definition => {
+        try {
+            const pattern = validatePatternDefinition(definition);
+            customPatterns.set(pattern.id, { ...pattern, createdAt: definition.createdAt || Date.now() });
+        } catch (error) {
+            console.error(`Skipping saved pattern ${definition?.id}:`, error.message);
+        }
+    });
+}
+
+// Built-in shapes with the multipliers from winMultipliers
+export function getBuiltInPatterns() {
+    return Object.entries(GAME_CONFIG.patterns).map(([id, pattern]) => ({
+        id,
+        name: pattern.name,
+        cells: pattern.cells,
+        multiplier: GAME_CONFIG.winMultipliers.pattern[id] || 1,
+        builtIn: true
+    }));
+}
+
+// Line and full-house targets for staged games (no cells to draw)
+export function getLinePatterns() {
+    return Object.entries(GAME_CONFIG.patternLines).map(([id, pattern]) => ({
+        id,
+        name: pattern.name,
+        multiplier: pattern.multiplier,
+        builtIn: true,
+        line: true
+    }));
+}
+
+export function listPatterns() {
+    return [...getBuiltInPatterns(), ...customPatterns.values()];
+}
+
+export function getPattern(id) {
+    return [...listPatterns(), ...getLinePatterns()].find(pattern => pattern.id === id) || null;
+}
+
+// Add or replace a custom pattern; built-in IDs are reserved
+export function savePattern(definition) {
+    const pattern = validatePatternDefinition(definition);
+
+    if (GAME_CONFIG.patterns[pattern.id] || GAME_CONFIG.patternLines[pattern.id]) {
+        throw new Error(`${pattern.id} is a built-in pattern`);
+    }
+
+    const existing = customPatterns.get(pattern.id);
+    const saved = { ...pattern, createdAt: existing ? existing.createdAt : Date.now() };
+    customPatterns.set(pattern.id, saved);
+    persist();
+
+    return saved;
+}
+
+export function deletePattern(id) {
+    if (!customPatterns.delete(id)) {
+        throw new Error(`No custom pattern ${id}`);
+    }
+    persist();
+}
+
+function persist() {
+    writeJsonFile(LIBRARY_FILE, Array.from(customPatterns.values()));
+}
@@ -0,0 +1,92 @@
+// messaging.js - Sending and broadcasting protocol messages
+//
+// Every event sent on a connection carries the next `seq` number, so clients
+// can spot a missing one and ask for a resend from the recent history.
+// Outgoing messages are checked against the shared protocol schema; one that
+// does not match is a server bug, logged and never sent.
+import { SERVER_CONFIG } from './config.js';
+import { validateMessage } from '../protocol.js';
+import { clients, rooms, findClientByPlayerId, getAdminClients } from './store.js';
+
+// Transport messages outside the event sequence. resend_unavailable must be
+// too: the client drops numbered events after a gap, and this is the reply
+// that gets it past one.
+const UNSEQUENCED_TYPES = ['ack', 'ping', 'pong', 'resend_unavailable'];
+
+export function send(client, message) {
+    if (!client || !client.connection) {
+        return false;
+    }
+
+    const payload = { timestamp: Date.now(), ...message };
+
+    const problem = validateMessage(payload, 'server');
+    if (problem) {
+        console.error('Not sending malformed message:', problem.message);
+        return false;
+    }
+
+    if (!UNSEQUENCED_TYPES.includes(message.type)) {
+        payload.seq = ++client.seq;
+        client.sentMessages.push(payload);
+        if (client.sentMessages.length > SERVER_CONFIG.resendHistorySize) {
+            client.sentMessages.shift();
+        }
+    }
+
+    return client.connection.send(JSON.stringify(payload));
+}
+
+// Send again every event from `fromSeq` on; false when some of them are no
+// longer kept, so the client has to resync instead
+export function resendFrom(client, fromSeq) {
+    const oldest = client.sentMessages.length > 0 ? client.sentMessages[0].seq : client.seq + 1;
+    if (!(fromSeq >= oldest)) {
+        return false;
+    }
+
+    client.sentMessages
+        .filter(message => message.seq >= fromSeq)
+        .forEach(message => client.connection.send(JSON.stringify(message)));
+    return true;
+}
+
+// Errors name the message being handled (client.replyTo), if it had an ID
+export function sendError(client, text, details = {}) {
+    const replyTo = client && client.replyTo ? { replyTo: client.replyTo } : {};
+    return send(client, { type: 'error', message: text, ...replyTo, ...details });
+}
+
+export function sendToPlayer(playerId, message) {
+    return send(findClientByPlayerId(playerId), message);
+}
+
+// Send to every player in a room, optionally skipping one player
+export function broadcastToRoom(roomId, message, exceptPlayerId = null) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    room.players.forEach(playerId => {
+        if (playerId !== exceptPlayerId) {
+            sendToPlayer(playerId, message);
+        }
+    });
+}
+
+export function broadcastToAdmins(message) {
+    getAdminClients().forEach(client => send(client, message));
+}
+
+// Room members plus every admin panel
+export function broadcastToRoomAndAdmins(roomId, message, exceptPlayerId = null) {
+    broadcastToRoom(roomId, message, exceptPlayerId);
+    broadcastToAdmins(message);
+}
+
+export function broadcastToAll(message, exceptClient = null) {
+    clients.forEach(client => {
+        if (client !== exceptClient) {
+            send(client, message);
+        }
+    });
+}
@@ -0,0 +1,158 @@
+// payments.js - Deposits and payouts through payment-provider adapters
+//
+// Providers move the real money (mobile money, bank transfer); this module
+// keeps a record of every deposit and payout and turns what the provider says
+// into status changes. Nothing is credited until the provider confirms, either
+// straight away or later through /payments/callback/<provider>. Listeners added
+// with onPaymentUpdate see every change (handlers.js posts the ledger side).
+//
+// An adapter is an object with:
+//   id, name
+//   initiateDeposit(payment) / sendPayout(payment) -> Promise of
+//     { status: 'pending' | 'confirmed' | 'failed', providerReference, reason, instructions }
+//     ('pending' means the confirmation arrives later as a callback)
+//   parseCallback(body, headers) -> { reference, status, providerReference, reason }
+//     (throws when the callback cannot be trusted)
+import path from 'node:path';
+import { SERVER_CONFIG } from './config.js';
+import { readJsonFile, writeJsonFile } from './files.js';
+
+const PAYMENTS_FILE = path.join(SERVER_CONFIG.dataDir, 'payments.json');
+
+export const PAYMENT_STATUSES = ['initiated', 'pending', 'confirmed', 'failed'];
+
+// Statuses each status may move on to; confirmed and failed are final, so a
+// provider repeating a callback changes nothing
+const TRANSITIONS = {
+    initiated: ['pending', 'confirmed', 'failed'],
+    pending: ['confirmed', 'failed'],
+    confirmed: [],
+    failed: []
+};
+
+// Adapters keyed by provider ID
+const providers = new Map();
+
+// Payment records keyed by ID, oldest first
+const payments = new Map();
+
+const listeners = [];
+
+export function registerProvider(adapter) {
+    providers.set(adapter.id, adapter);
+}
+
+export function getProvider(id = SERVER_CONFIG.paymentProvider) {
+    return providers.get(id) || null;
+}
+
+export function listProviders() {
+    return Array.from(providers.values()).map(adapter => ({ id: adapter.id, name: adapter.name }));
+}
+
+export function onPaymentUpdate(listener) {
+    listeners.push(listener);
+}
+
+// Read saved payments
+export function loadPayments() {
+    const saved = readJsonFile(PAYMENTS_FILE, 'payments');
+
+    (Array.isArray(saved) ? saved : []).forEach(payment => {
+        if (payment && payment.id && PAYMENT_STATUSES.includes(payment.status)) {
+            payments.set(payment.id, payment);
+        }
+    });
+}
+
+// Ask a provider to collect money from a player; returns the record at once
+export function startDeposit({ playerId, amount, phone, provider, simulate }) {
+    return start('deposit', 'initiateDeposit', { playerId, amount, phone, provider, simulate });
+}
+
+// Ask a provider to send an approved withdrawal to the player's account
+export function startPayout({ playerId, amount, accountNumber, withdrawalId, provider }) {
+    return start('payout', 'sendPayout', { playerId, amount, accountNumber, withdrawalId, provider });
+}
+
+// A provider's webhook: find the payment it is about and apply the new status
+export function handleCallback(providerId, body, headers = {}) {
+    const adapter = providers.get(providerId);
+    if (!adapter) {
+        throw new Error(`Unknown payment provider: ${providerId}`);
+    }
+
+    const result = adapter.parseCallback(body, headers);
+    const payment = payments.get(result.reference);
+    if (!payment || payment.provider !== providerId) {
+        throw new Error(`No ${providerId} payment ${result.reference}`);
+    }
+
+    applyResult(payment, result);
+    return payment;
+}
+
+export function getPayment(id) {
+    return payments.get(id) || null;
+}
+
+// Payments newest first, optionally filtered by any record field
+export function listPayments(filter = {}) {
+    return Array.from(payments.values())
+        .filter(payment => Object.entries(filter).every(([key, value]) => payment[key] === value))
+        .reverse();
+}
+
+function start(kind, method, { provider = SERVER_CONFIG.paymentProvider, ...details }) {
+    const adapter = providers.get(provider);
+    if (!adapter) {
+        throw new Error(`Unknown payment provider: ${provider}`);
+    }
+
+    const now = Date.now();
+    const payment = {
+        id: `pay-${String(payments.size + 1).padStart(6, '0')}`,
+        kind,
+        provider,
+        ...details,
+        status: 'initiated',
+        providerReference: null,
+        reason: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    payments.set(payment.id, payment);
+    persist();
+
+    // The record goes back to the caller before the provider answers
+    Promise.resolve()
+        .then(() => adapter[method](payment))
+        .then(result => applyResult(payment, result))
+        .catch(error => {
+            console.error(`Payment ${payment.id} via ${provider}:`, error.message);
+            applyResult(payment, { status: 'failed', reason: error.message });
+        });
+
+    return payment;
+}
+
+function applyResult(payment, { status, providerReference, reason, instructions }) {
+    if (!PAYMENT_STATUSES.includes(status)) {
+        throw new Error(`Unknown payment status: ${status}`);
+    }
+
+    if (!TRANSITIONS[payment.status].includes(status)) return;
+
+    payment.status = status;
+    payment.providerReference = providerReference || payment.providerReference;
+    payment.reason = reason || null;
+    payment.updatedAt = Date.now();
+    persist();
+
+    listeners.forEach(listener => listener(payment, { instructions }));
+}
+
+function persist() {
+    writeJsonFile(PAYMENTS_FILE, Array.from(payments.values()));
+}
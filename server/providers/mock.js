@@ -0,0 +1,63 @@
+// mock.js - Local payment provider for development and tests
+//
+// Moves no money. Each payment ends the way `outcome` says, or (only with
+// allowSimulate) the way the player asked with `simulate` on the payment message:
+//   'success' - confirmed as soon as it is initiated
+//   'failure' - declined as soon as it is initiated
+//   'delayed' - pending, then confirmed through the callback after delayMs,
+//               the same path a real provider's webhook takes
+//
+// Callbacks carry a secret made for this process, so a POST to
+// /payments/callback/mock from outside cannot confirm anything.
+import crypto from 'node:crypto';
+
+export const MOCK_OUTCOMES = ['success', 'failure', 'delayed'];
+
+export function createMockProvider({ outcome = 'success', delayMs = 3000, allowSimulate = false, notify }) {
+    const secret = crypto.randomBytes(16).toString('hex');
+
+    function settle(payment) {
+        const result = allowSimulate && MOCK_OUTCOMES.includes(payment.simulate) ? payment.simulate : outcome;
+        const providerReference = `mock-${payment.id}`;
+
+        if (result === 'failure') {
+            return { status: 'failed', providerReference, reason: 'Declined by the mock provider' };
+        }
+
+        if (result === 'delayed') {
+            setTimeout(() => notify({ reference: payment.id, status: 'confirmed', providerReference, secret }), delayMs);
+            return {
+                status: 'pending',
+                providerReference,
+                instructions: `Mock ${payment.kind}: confirms in ${Math.round(delayMs / 1000)}s`
+            };
+        }
+
+        return { status: 'confirmed', providerReference };
+    }
+
+    return {
+        id: 'mock',
+        name: 'Local mock provider',
+        async initiateDeposit(payment) {
+            return settle(payment);
+        },
+        async sendPayout(payment) {
+            return settle(payment);
+        },
+        parseCallback(body) {
+            if (!body || body.secret !== secret) {
+                throw new Error('Mock callbacks only come from the mock itself');
+            }
+            if (!body.reference || !['confirmed', 'failed'].includes(body.status)) {
+                throw new Error('Malformed mock callback');
+            }
+            return {
+                reference: body.reference,
+                status: body.status,
+                providerReference: body.providerReference,
+                reason: body.reason
+            };
+        }
+    };
+}
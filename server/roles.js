@@ -0,0 +1,48 @@
+// roles.js - Admin roles and the admin actions each one may use
+//
+// Every admin account has one role. An action is an admin_command name, or
+// start_game / number_called for the game messages admins send directly.
+// Roles are checked on every admin message, so a changed role applies at once.
+// announce_win pays any amount from the house, so only owners may use it.
+
+// Actions every admin may use
+const COMMON_ACTIONS = ['get_stats', 'get_players', 'change_password'];
+
+export const ADMIN_ROLES = {
+    owner: {
+        name: 'Owner',
+        actions: ['*']
+    },
+    caller: {
+        name: 'Game caller',
+        actions: ['create_room', 'close_room', 'start_game', 'number_called', 'end_game', 'reset_game', 'broadcast',
+            'list_patterns', 'save_pattern', 'delete_pattern', 'list_schedules', 'create_schedule', 'delete_schedule']
+    },
+    cashier: {
+        name: 'Cashier',
+        actions: ['list_withdrawals', 'update_withdrawal', 'send_payout']
+    },
+    moderator: {
+        name: 'Moderator',
+        actions: ['kick_player', 'mute_player', 'broadcast']
+    }
+};
+
+// Accounts created before roles existed keep full access
+export const DEFAULT_ROLE = 'owner';
+
+export function isAdminRole(role) {
+    return Object.hasOwn(ADMIN_ROLES, role);
+}
+
+// Actions a role may use; ['*'] means all of them
+export function getRoleActions(role) {
+    const definition = ADMIN_ROLES[role];
+    if (!definition) return [];
+    return definition.actions.includes('*') ? ['*'] : [...COMMON_ACTIONS, ...definition.actions];
+}
+
+export function canPerform(role, action) {
+    const actions = getRoleActions(role);
+    return actions.includes('*') || actions.includes(action);
+}
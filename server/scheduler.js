@@ -0,0 +1,189 @@
+// scheduler.js - Games scheduled ahead of time by admins
+//
+// A schedule describes a recurring (or one-off) game: its type, stake, the
+// fewest players needed and when buying cards closes. Only the timing lives
+// here; handlers.js opens a lobby room for each schedule's next game, starts
+// it on time or cancels it with refunds, then asks for the next time.
+// Schedules are saved to schedules.json in the data directory.
+//
+// Repeats: 'once' (at startsAt), 'interval' (every everyMinutes from
+// startsAt) and 'daily' (at time "HH:MM", server time).
+import path from 'node:path';
+import { SERVER_CONFIG } from './config.js';
+import { readJsonFile, writeJsonFile } from './files.js';
+import { getBoardType } from './store.js';
+
+const SCHEDULES_FILE = path.join(SERVER_CONFIG.dataDir, 'schedules.json');
+
+export const SCHEDULE_REPEATS = ['once', 'interval', 'daily'];
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Schedules keyed by ID, oldest first
+const schedules = new Map();
+let nextScheduleId = 1;
+
+// Read saved schedules
+export function loadSchedules() {
+    const saved = readJsonFile(SCHEDULES_FILE, 'schedules');
+
+    (Array.isArray(saved) ? saved : []).forEach(schedule => {
+        if (schedule && schedule.id && SCHEDULE_REPEATS.includes(schedule.repeat)) {
+            // Rooms do not survive a restart; the next game gets a new one
+            schedules.set(schedule.id, { ...schedule, roomId: null });
+            nextScheduleId = Math.max(nextScheduleId, parseInt(schedule.id.split('-')[1]) + 1);
+        }
+    });
+}
+
+// Check a schedule from the admin panel and save it; throws on anything unusable
+export function createSchedule(definition, createdBy = null) {
+    const repeat = definition.repeat || 'once';
+    const stake = parseInt(definition.stake);
+    const minPlayers = definition.minPlayers === undefined ? 1 : parseInt(definition.minPlayers);
+    const buyInCloseSeconds = definition.buyInCloseSeconds === undefined
+        ? SERVER_CONFIG.defaultBuyInCloseSeconds
+        : parseInt(definition.buyInCloseSeconds);
+
+    if (!getBoardType(definition.gameType)) {
+        throw new Error(`Unknown game type: ${definition.gameType}`);
+    }
+
+    if (!(stake > 0)) {
+        throw new Error('Stake must be above 0');
+    }
+
+    if (!(minPlayers >= 1)) {
+        throw new Error('At least one player is needed');
+    }
+
+    if (!(buyInCloseSeconds >= 0)) {
+        throw new Error('Buy-in must close at or before the start');
+    }
+
+    if (!SCHEDULE_REPEATS.includes(repeat)) {
+        throw new Error(`Repeat must be one of ${SCHEDULE_REPEATS.join(', ')}`);
+    }
+
+    const now = Date.now();
+    const schedule = {
+        id: `sch-${String(nextScheduleId).padStart(4, '0')}`,
+        name: String(definition.name || '').trim().slice(0, 60) || null,
+        gameType: definition.gameType,
+        stake,
+        minPlayers,
+        buyInCloseSeconds,
+        repeat,
+        startsAt: parseInt(definition.startsAt) || null,
+        everyMinutes: repeat === 'interval' ? parseInt(definition.everyMinutes) : null,
+        time: repeat === 'daily' ? String(definition.time || '') : null,
+        nextAt: null,
+        roomId: null,
+        createdBy,
+        createdAt: now
+    };
+
+    if (repeat === 'once' && !(schedule.startsAt > now)) {
+        throw new Error('Start time must be in the future');
+    }
+
+    if (repeat === 'interval') {
+        if (!(schedule.everyMinutes >= 1)) {
+            throw new Error('Games must be at least a minute apart');
+        }
+        schedule.startsAt = schedule.startsAt || now + schedule.everyMinutes * MINUTE_MS;
+    }
+
+    if (repeat === 'daily' && !parseTime(schedule.time)) {
+        throw new Error('Daily time must be HH:MM');
+    }
+
+    schedule.nextAt = getNextOccurrence(schedule, now);
+    if (!schedule.nextAt) {
+        throw new Error('This schedule has no games left to play');
+    }
+
+    nextScheduleId++;
+    schedules.set(schedule.id, schedule);
+    persist();
+
+    return schedule;
+}
+
+export function getSchedule(id) {
+    return schedules.get(id) || null;
+}
+
+// Schedules by their next game, soonest first
+export function listSchedules() {
+    return Array.from(schedules.values()).sort((a, b) => a.nextAt - b.nextAt);
+}
+
+export function deleteSchedule(id) {
+    const schedule = schedules.get(id);
+    if (!schedule) {
+        throw new Error(`No schedule ${id}`);
+    }
+
+    schedules.delete(id);
+    persist();
+
+    return schedule;
+}
+
+// Remember the lobby room opened for the schedule's next game
+export function setScheduleRoom(id, roomId) {
+    const schedule = schedules.get(id);
+    if (schedule) {
+        schedule.roomId = roomId;
+        persist();
+    }
+}
+
+// Move on to the first game after `now`; a schedule with none left is
+// removed and null returned
+export function advanceSchedule(id, now = Date.now()) {
+    const schedule = schedules.get(id);
+    if (!schedule) return null;
+
+    schedule.nextAt = getNextOccurrence(schedule, now);
+    schedule.roomId = null;
+
+    if (!schedule.nextAt) {
+        schedules.delete(id);
+    }
+    persist();
+
+    return schedule.nextAt ? schedule : null;
+}
+
+// Start time of the first game after `after`, or null when there is none
+function getNextOccurrence(schedule, after) {
+    switch (schedule.repeat) {
+        case 'once':
+            return schedule.startsAt > after ? schedule.startsAt : null;
+        case 'interval': {
+            const every = schedule.everyMinutes * MINUTE_MS;
+            if (schedule.startsAt > after) return schedule.startsAt;
+            return schedule.startsAt + (Math.floor((after - schedule.startsAt) / every) + 1) * every;
+        }
+        case 'daily': {
+            const { hours, minutes } = parseTime(schedule.time);
+            const next = new Date(after);
+            next.setHours(hours, minutes, 0, 0);
+            return next.getTime() > after ? next.getTime() : next.getTime() + DAY_MS;
+        }
+        default:
+            return null;
+    }
+}
+
+function parseTime(time) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(time || '');
+    return match ? { hours: parseInt(match[1]), minutes: parseInt(match[2]) } : null;
+}
+
+function persist() {
+    writeJsonFile(SCHEDULES_FILE, Array.from(schedules.values()));
+}
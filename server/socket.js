@@ -0,0 +1,226 @@
+// socket.js - Minimal RFC 6455 WebSocket server connection (no dependencies)
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1024 * 1024; // 1 MB, per frame and per assembled message
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+export const READY_STATE = {
+    OPEN: 1,
+    CLOSING: 2,
+    CLOSED: 3
+};
+
+// Complete the HTTP upgrade handshake and wrap the raw socket
+export function acceptUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    const upgrade = (req.headers.upgrade || '').toLowerCase();
+
+    if (upgrade !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    socket.setNoDelay(true);
+    return createConnection(socket);
+}
+
+// Wrap a raw TCP socket with WebSocket framing
+function createConnection(socket) {
+    const connection = new EventEmitter();
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentsLength = 0;
+
+    connection.readyState = READY_STATE.OPEN;
+
+    connection.send = (text) => {
+        if (connection.readyState !== READY_STATE.OPEN) {
+            return false;
+        }
+        socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8')));
+        return true;
+    };
+
+    connection.ping = () => {
+        if (connection.readyState === READY_STATE.OPEN) {
+            socket.write(encodeFrame(OPCODES.PING, Buffer.alloc(0)));
+        }
+    };
+
+    connection.close = (code = 1000, reason = '') => {
+        if (connection.readyState !== READY_STATE.OPEN) {
+            return;
+        }
+        connection.readyState = READY_STATE.CLOSING;
+
+        const reasonBytes = Buffer.from(reason, 'utf8').subarray(0, 123);
+        const payload = Buffer.alloc(2 + reasonBytes.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBytes.copy(payload, 2);
+
+        socket.end(encodeFrame(OPCODES.CLOSE, payload));
+    };
+
+    socket.on('data', (chunk) => {
+        // Nothing more is read once we have started closing
+        if (connection.readyState !== READY_STATE.OPEN) return;
+        buffer = Buffer.concat([buffer, chunk]);
+
+        try {
+            let frame;
+            while ((frame = decodeFrame(buffer))) {
+                buffer = buffer.subarray(frame.length);
+                handleFrame(frame);
+            }
+        } catch (error) {
+            console.error('WebSocket protocol error:', error.message);
+            if (error.closeCode === 1009) {
+                connection.close(1009, 'Message too big');
+            } else {
+                connection.close(1002, 'Protocol error');
+            }
+        }
+    });
+
+    socket.on('close', () => {
+        const wasOpen = connection.readyState !== READY_STATE.CLOSED;
+        connection.readyState = READY_STATE.CLOSED;
+        if (wasOpen) {
+            connection.emit('close');
+        }
+    });
+
+    socket.on('error', (error) => {
+        console.error('Socket error:', error.message);
+        socket.destroy();
+    });
+
+    function handleFrame(frame) {
+        switch (frame.opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.BINARY:
+            case OPCODES.CONTINUATION:
+                // Continuation frames are each within the limit, so the
+                // whole message is checked as it is assembled
+                fragmentsLength += frame.payload.length;
+                if (fragmentsLength > MAX_PAYLOAD) {
+                    throw tooBig('Message too large');
+                }
+                fragments.push(frame.payload);
+                if (frame.fin) {
+                    const data = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+                    fragmentsLength = 0;
+                    connection.emit('message', data);
+                }
+                break;
+            case OPCODES.PING:
+                socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+                break;
+            case OPCODES.PONG:
+                connection.emit('pong');
+                break;
+            case OPCODES.CLOSE:
+                connection.close(frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1000);
+                break;
+            default:
+                throw new Error(`Unsupported opcode ${frame.opcode}`);
+        }
+    }
+
+    return connection;
+}
+
+// Decode one client frame from the buffer, or null if incomplete
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (!masked) {
+        throw new Error('Client frames must be masked');
+    }
+
+    if (payloadLength === 126) {
+        if (buffer.length < offset + 2) return null;
+        payloadLength = buffer.readUInt16BE(offset);
+        offset += 2;
+    } else if (payloadLength === 127) {
+        if (buffer.length < offset + 8) return null;
+        const length = buffer.readBigUInt64BE(offset);
+        if (length > BigInt(MAX_PAYLOAD)) {
+            throw tooBig('Frame too large');
+        }
+        payloadLength = Number(length);
+        offset += 8;
+    }
+
+    if (payloadLength > MAX_PAYLOAD) {
+        throw tooBig('Frame too large');
+    }
+
+    if (buffer.length < offset + 4 + payloadLength) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    offset += 4;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+
+    return { fin, opcode, payload, length: offset + payloadLength };
+}
+
+// Error that closes the connection with 1009 (message too big)
+function tooBig(message) {
+    const error = new Error(message);
+    error.closeCode = 1009;
+    return error;
+}
+
+// Encode an unmasked server frame
+function encodeFrame(opcode, payload) {
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
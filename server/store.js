@@ -0,0 +1,260 @@
+// store.js - In-memory state for the reference server
+//
+// Players are also saved to players.json in the data directory: their wallets
+// live in the ledger, which survives a restart, so the account owning one (and
+// the resume token proving it) must too. Rooms, cards and connections do not;
+// money left in rooms is refunded on start (refundOpenRooms in handlers.js).
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { GAME_CONFIG } from '../rules.js';
+import { SERVER_CONFIG } from './config.js';
+import { readJsonFile, writeJsonFile } from './files.js';
+import { getAccountSummary, playerAccount } from './wallet.js';
+import { listWithdrawals } from './withdrawals.js';
+
+// Connected clients keyed by connection ID
+export const clients = new Map();
+
+const PLAYERS_FILE = path.join(SERVER_CONFIG.dataDir, 'players.json');
+
+// Player fields kept across a restart
+const SAVED_PLAYER_FIELDS = ['id', 'name', 'phone', 'stake', 'gameType', 'boardId', 'strip', 'cardCount',
+    'muted', 'registered', 'resumeTokenHash', 'joinedAt'];
+
+// Known players keyed by player ID (kept after disconnect; balances live in the ledger)
+export const players = new Map();
+
+// Rooms keyed by room ID
+export const rooms = new Map();
+
+// Running totals reported by get_stats
+export const stats = {
+    totalPayments: 0,
+    totalWins: 0,
+    totalWithdrawals: 0,
+    totalStakes: 0,
+    gamesStarted: 0,
+    numbersCalled: 0
+};
+
+let nextClientId = 1;
+let nextRoomId = 1;
+
+// ===== CLIENTS =====
+
+export function addClient(connection) {
+    const client = {
+        id: nextClientId++,
+        connection,
+        playerId: null,
+        isAdmin: false,
+        // Token and account of an admin connection (see auth.js)
+        adminToken: null,
+        adminUser: null,
+        // Last event sequence number sent, and the recent events for resends
+        seq: 0,
+        sentMessages: [],
+        // messageId of the message being handled, named in any error reply
+        replyTo: null,
+        // Protocol version agreed in hello (see protocol.js)
+        protocolVersion: null,
+        connectedAt: Date.now(),
+        lastSeen: Date.now()
+    };
+
+    clients.set(client.id, client);
+    return client;
+}
+
+export function removeClient(client) {
+    clients.delete(client.id);
+}
+
+export function findClientByPlayerId(playerId) {
+    for (const client of clients.values()) {
+        if (client.playerId === playerId && !client.isAdmin) {
+            return client;
+        }
+    }
+    return null;
+}
+
+export function getAdminClients() {
+    return Array.from(clients.values()).filter(client => client.isAdmin);
+}
+
+// ===== PLAYERS =====
+
+// Read saved players
+export function loadPlayers() {
+    const saved = readJsonFile(PLAYERS_FILE, 'players');
+
+    (Array.isArray(saved) ? saved : []).forEach(record => {
+        if (record && record.id) {
+            const player = getOrCreatePlayer(record.id);
+            SAVED_PLAYER_FIELDS.forEach(field => {
+                if (record[field] !== undefined) player[field] = record[field];
+            });
+        }
+    });
+}
+
+// Called after a player's saved fields change
+export function savePlayers() {
+    writeJsonFile(PLAYERS_FILE, Array.from(players.values(), player =>
+        Object.fromEntries(SAVED_PLAYER_FIELDS.map(field => [field, player[field]]))));
+}
+
+export function getOrCreatePlayer(playerId) {
+    let player = players.get(playerId);
+
+    if (!player) {
+        player = {
+            id: playerId,
+            name: '',
+            phone: '',
+            stake: SERVER_CONFIG.defaultStake,
+            gameType: SERVER_CONFIG.defaultGameType,
+            boardId: null,
+            strip: false,
+            cardCount: 1,
+            roomId: null,
+            cards: [],
+            cardCost: 0,
+            marks: new Map(),
+            connected: false,
+            muted: false,
+            registered: false,
+            // Hash of the secret the player's device resumes with (see issueResumeToken)
+            resumeTokenHash: null,
+            joinedAt: Date.now()
+        };
+        players.set(playerId, player);
+    }
+
+    return player;
+}
+
+// Player IDs are public (player_joined, players_list, ...), so taking a
+// player over needs a secret too. Only its hash is kept; the token itself
+// goes to the player's device once.
+export function issueResumeToken(player) {
+    const token = crypto.randomBytes(24).toString('hex');
+    player.resumeTokenHash = hashResumeToken(token);
+    savePlayers();
+    return token;
+}
+
+export function checkResumeToken(player, token) {
+    if (!player.resumeTokenHash || typeof token !== 'string') {
+        return false;
+    }
+    return crypto.timingSafeEqual(
+        Buffer.from(hashResumeToken(token), 'hex'),
+        Buffer.from(player.resumeTokenHash, 'hex')
+    );
+}
+
+function hashResumeToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Numbers the player has marked on one of their cards
+export function getCardMarks(player, cardId) {
+    if (!player.marks.has(cardId)) {
+        player.marks.set(cardId, new Set());
+    }
+    return player.marks.get(cardId);
+}
+
+// Plain object safe to send over the wire
+export function serializePlayer(player) {
+    const wallet = getAccountSummary(playerAccount(player.id));
+
+    return {
+        id: player.id,
+        name: player.name,
+        phone: player.phone,
+        stake: player.stake,
+        gameType: player.gameType,
+        boardId: player.boardId,
+        strip: player.strip,
+        payment: wallet.totals.deposit,
+        balance: wallet.balance,
+        wonAmount: wallet.totals.win,
+        withdrawn: listWithdrawals({ playerId: player.id, status: 'paid' })
+            .reduce((total, request) => total + request.amount, 0),
+        roomId: player.roomId,
+        cardIds: player.cards.map(card => card.id),
+        cardCount: player.cards.length,
+        markedCount: Array.from(player.marks.values()).reduce((total, marks) => total + marks.size, 0),
+        connected: player.connected,
+        muted: player.muted,
+        joinedAt: player.joinedAt
+    };
+}
+
+// ===== ROOMS =====
+
+// A lobby room set up by an admin; startsAt is the planned start shown to players.
+// Rooms opened by a schedule also carry its ID, player minimum and buy-in deadline.
+export function createRoom({ name, gameType, stake, startsAt = null, createdBy = null, scheduleId = null, minPlayers = null, buyInClosesAt = null }) {
+    const room = getOrCreateRoom(`room_${Date.now().toString(36)}_${nextRoomId++}`, gameType, stake);
+    room.name = name || null;
+    room.startsAt = startsAt;
+    room.createdBy = createdBy;
+    room.scheduleId = scheduleId;
+    room.minPlayers = minPlayers;
+    room.buyInClosesAt = buyInClosesAt;
+    return room;
+}
+
+export function getOrCreateRoom(roomId, gameType, stake) {
+    let room = rooms.get(roomId);
+
+    if (!room) {
+        room = {
+            id: roomId,
+            // Lobby details (rooms made on the fly by join_room/start_game have none)
+            name: null,
+            startsAt: null,
+            createdBy: null,
+            // Scheduled games start (or are cancelled) on their own
+            scheduleId: null,
+            minPlayers: null,
+            buyInClosesAt: null,
+            gameType: getBoardType(gameType) ? gameType : SERVER_CONFIG.defaultGameType,
+            stake: parseInt(stake) || SERVER_CONFIG.defaultStake,
+            players: new Set(),
+            gameActive: false,
+            calledNumbers: [],
+            winners: [],
+            draw: null,
+            // Pattern definitions chosen for a pattern-bingo game (null: game type defaults)
+            patterns: null,
+            // Index into patterns when they are played one after another (null: all at once)
+            stage: null,
+            // Payout table fixed when the game started (null before the first game)
+            payouts: null,
+            // Open claim windows by pattern, and how shared prizes are split
+            pendingClaims: new Map(),
+            split: SERVER_CONFIG.prizeSplit,
+            // When the last game finished (null while none has)
+            endedAt: null,
+            createdAt: Date.now()
+        };
+        rooms.set(roomId, room);
+    }
+
+    return room;
+}
+
+export function getRoomPlayers(room) {
+    return Array.from(room.players)
+        .map(playerId => players.get(playerId))
+        .filter(Boolean);
+}
+
+export function getBoardType(gameType) {
+    return GAME_CONFIG.boardTypes.find(type => type.id === gameType) || null;
+}
@@ -0,0 +1,160 @@
+// wallet.js - Double-entry ledger behind every balance on the server
+//
+// Money only moves by transfer(): each transaction debits one account and
+// credits another by the same amount, so the books always sum to zero. Entries
+// are never edited; a mistake is undone by a new transaction the other way.
+// Transactions are appended to ledger.jsonl in the data directory and replayed
+// on start, so balances survive a restart.
+//
+// Accounts: player:<id> (a wallet), room:<id> (stakes and prizes of a room),
+// house (commission), withdrawals (held for requests awaiting payout) and cash
+// (money entering or leaving the system).
+import path from 'node:path';
+import { SERVER_CONFIG } from './config.js';
+import { readJsonLines, appendJsonLine } from './files.js';
+
+const LEDGER_FILE = path.join(SERVER_CONFIG.dataDir, 'ledger.jsonl');
+
+export const TRANSACTION_TYPES = ['deposit', 'stake', 'refund', 'win', 'hold', 'release', 'withdrawal', 'commission'];
+
+export const HOUSE_ACCOUNT = 'house';
+export const CASH_ACCOUNT = 'cash';
+export const WITHDRAWALS_ACCOUNT = 'withdrawals';
+
+// Every transaction in posting order
+const transactions = [];
+
+// Current balance and transactions (newest last) by account
+const balances = new Map();
+const accountTransactions = new Map();
+
+export function playerAccount(playerId) {
+    return `player:${playerId}`;
+}
+
+export function roomAccount(roomId) {
+    return `room:${roomId}`;
+}
+
+// Replay the saved ledger
+export function loadLedger() {
+    readJsonLines(LEDGER_FILE, 'ledger').forEach(transaction => apply(Object.freeze(transaction)));
+}
+
+// Move `amount` from one account to another; throws when the transfer is not
+// allowed (bad amount, unknown type, or a player wallet going below zero)
+export function transfer({ type, from, to, amount, playerId = null, roomId = null, memo = '' }) {
+    if (!TRANSACTION_TYPES.includes(type)) {
+        throw new Error(`Unknown transaction type: ${type}`);
+    }
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+        throw new Error('Amount must be a whole number above 0');
+    }
+
+    if (!from || !to || from === to) {
+        throw new Error('A transfer needs two different accounts');
+    }
+
+    if (from.startsWith('player:') && getBalance(from) < amount) {
+        throw new Error('Insufficient balance');
+    }
+
+    const transaction = Object.freeze({
+        id: `tx-${String(transactions.length + 1).padStart(8, '0')}`,
+        type,
+        playerId,
+        roomId,
+        memo,
+        amount,
+        entries: Object.freeze([
+            Object.freeze({ account: from, amount: -amount, balance: getBalance(from) - amount }),
+            Object.freeze({ account: to, amount, balance: getBalance(to) + amount })
+        ]),
+        timestamp: Date.now()
+    });
+
+    appendJsonLine(LEDGER_FILE, transaction);
+    apply(transaction);
+
+    return transaction;
+}
+
+export function getBalance(account) {
+    return balances.get(account) || 0;
+}
+
+// Accounts with money in them whose names start with `prefix`
+export function listFundedAccounts(prefix = '') {
+    return Array.from(balances.keys()).filter(account => account.startsWith(prefix) && getBalance(account) > 0);
+}
+
+// Stakes less refunds by player ID, paid into an account since its balance
+// was last zero
+export function getOpenStakes(account) {
+    const stakes = new Map();
+
+    (accountTransactions.get(account) || []).forEach(transaction => {
+        const entry = transaction.entries.find(e => e.account === account);
+
+        if (entry.balance === 0) {
+            stakes.clear();
+        } else if (transaction.playerId && (transaction.type === 'stake' || transaction.type === 'refund')) {
+            stakes.set(transaction.playerId, (stakes.get(transaction.playerId) || 0) + entry.amount);
+        }
+    });
+
+    return stakes;
+}
+
+// An account's transactions newest first, as seen from that account
+export function getTransactions(account, limit = Infinity) {
+    const list = accountTransactions.get(account) || [];
+    return list.slice(-limit).reverse().map(transaction => viewTransaction(transaction, account));
+}
+
+// Balance plus money in and out of an account by transaction type
+export function getAccountSummary(account) {
+    const summary = { balance: getBalance(account), count: 0, totals: {} };
+    TRANSACTION_TYPES.forEach(type => {
+        summary.totals[type] = 0;
+    });
+
+    (accountTransactions.get(account) || []).forEach(transaction => {
+        const entry = transaction.entries.find(e => e.account === account);
+        summary.totals[transaction.type] += entry.amount;
+        summary.count++;
+    });
+
+    return summary;
+}
+
+function apply(transaction) {
+    transactions.push(transaction);
+
+    transaction.entries.forEach(entry => {
+        balances.set(entry.account, getBalance(entry.account) + entry.amount);
+
+        if (!accountTransactions.has(entry.account)) {
+            accountTransactions.set(entry.account, []);
+        }
+        accountTransactions.get(entry.account).push(transaction);
+    });
+}
+
+// One line of an account statement: signed amount and the balance after it
+function viewTransaction(transaction, account) {
+    const entry = transaction.entries.find(e => e.account === account);
+    const other = transaction.entries.find(e => e !== entry);
+
+    return {
+        id: transaction.id,
+        type: transaction.type,
+        amount: entry.amount,
+        balance: entry.balance,
+        counterparty: other.account,
+        roomId: transaction.roomId,
+        memo: transaction.memo,
+        timestamp: transaction.timestamp
+    };
+}
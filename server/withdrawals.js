@@ -0,0 +1,93 @@
+// withdrawals.js - Withdrawal requests and their review by admins
+//
+// The money is held out of the player's wallet as soon as a request is made
+// (handlers.js posts the ledger side). Admins approve or reject a pending
+// request; an approved one is paid out by hand and then marked paid. A
+// rejected request gives the held money back. Every step is kept in the
+// request's history with the admin's note, and requests are saved to
+// withdrawals.json in the data directory.
+import path from 'node:path';
+import { SERVER_CONFIG } from './config.js';
+import { readJsonFile, writeJsonFile } from './files.js';
+
+const WITHDRAWALS_FILE = path.join(SERVER_CONFIG.dataDir, 'withdrawals.json');
+
+export const WITHDRAWAL_STATUSES = ['pending', 'approved', 'rejected', 'paid'];
+
+// Statuses each status may move on to
+const TRANSITIONS = {
+    pending: ['approved', 'rejected'],
+    approved: ['paid', 'rejected'],
+    rejected: [],
+    paid: []
+};
+
+// Requests keyed by ID, oldest first
+const withdrawals = new Map();
+
+// Read saved requests
+export function loadWithdrawals() {
+    const saved = readJsonFile(WITHDRAWALS_FILE, 'withdrawals');
+
+    (Array.isArray(saved) ? saved : []).forEach(request => {
+        if (request && request.id && WITHDRAWAL_STATUSES.includes(request.status)) {
+            withdrawals.set(request.id, request);
+        }
+    });
+}
+
+export function createWithdrawal(player, amount, accountNumber) {
+    const now = Date.now();
+    const request = {
+        id: `wd-${String(withdrawals.size + 1).padStart(6, '0')}`,
+        playerId: player.id,
+        name: player.name,
+        phone: player.phone,
+        amount,
+        accountNumber,
+        status: 'pending',
+        history: [{ status: 'pending', note: '', by: player.id, timestamp: now }],
+        createdAt: now,
+        updatedAt: now
+    };
+
+    withdrawals.set(request.id, request);
+    persist();
+
+    return request;
+}
+
+export function getWithdrawal(id) {
+    return withdrawals.get(id) || null;
+}
+
+// Move a request to its next status; throws when that step is not allowed
+export function updateWithdrawal(id, status, note = '', by = null) {
+    const request = withdrawals.get(id);
+    if (!request) {
+        throw new Error(`No withdrawal request ${id}`);
+    }
+
+    if (!TRANSITIONS[request.status].includes(status)) {
+        throw new Error(`A ${request.status} withdrawal cannot be marked ${status}`);
+    }
+
+    request.status = status;
+    request.updatedAt = Date.now();
+    request.history.push({ status, note, by, timestamp: request.updatedAt });
+    persist();
+
+    return request;
+}
+
+// Requests newest first, optionally only one status or one player's
+export function listWithdrawals({ status = null, playerId = null } = {}) {
+    return Array.from(withdrawals.values())
+        .filter(request => !status || request.status === status)
+        .filter(request => !playerId || request.playerId === playerId)
+        .reverse();
+}
+
+function persist() {
+    writeJsonFile(WITHDRAWALS_FILE, Array.from(withdrawals.values()));
+}
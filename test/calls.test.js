@@ -0,0 +1,47 @@
+// calls.test.js - The server passes call signalling between an admin and a room
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectAdmin, connectPlayer } from './harness.js';
+
+const ROOM_ID = 'room_75ball';
+const OFFER = { type: 'offer', sdp: 'v=0 offer' };
+const ANSWER = { type: 'answer', sdp: 'v=0 answer' };
+const CANDIDATE = { candidate: 'candidate:1 1 udp 1 10.0.0.1 5000 typ host', sdpMid: '0' };
+
+test("an admin's offer reaches the room and the players' answers reach the admins", () => {
+    const admin = connectAdmin();
+    const grace = connectPlayer('Grace', 100);
+    const outsider = connectPlayer('Heidi', 100);
+    grace.send({ type: 'join_room' });
+
+    admin.send({ type: 'offer', roomId: ROOM_ID, offer: OFFER });
+    admin.send({ type: 'ice_candidate', roomId: ROOM_ID, candidate: CANDIDATE });
+    assert.deepEqual(grace.last('offer').offer, OFFER);
+    assert.deepEqual(grace.last('ice_candidate').candidate, CANDIDATE);
+    assert.equal(outsider.last('offer'), null);
+
+    grace.send({ type: 'answer', roomId: ROOM_ID, answer: ANSWER });
+    grace.send({ type: 'ice_candidate', roomId: ROOM_ID, candidate: CANDIDATE });
+    const answer = admin.last('answer');
+    assert.deepEqual(answer.answer, ANSWER);
+    assert.equal(answer.playerId, grace.playerId);
+    assert.equal(answer.roomId, ROOM_ID);
+    assert.equal(admin.last('ice_candidate').playerId, grace.playerId);
+});
+
+test('only admins offer, and only to a room that exists', () => {
+    const admin = connectAdmin();
+    const ivan = connectPlayer('Ivan', 100);
+    ivan.send({ type: 'join_room' });
+
+    ivan.send({ type: 'offer', roomId: ROOM_ID, offer: OFFER });
+    assert.equal(ivan.last('error').message, 'Admin access required');
+
+    admin.send({ type: 'offer', roomId: 'no_such_room', offer: OFFER });
+    assert.equal(admin.last('error').message, 'Room not found');
+
+    // Players outside a room have nobody to answer
+    const judy = connectPlayer('Judy', 100);
+    judy.send({ type: 'answer', answer: ANSWER });
+    assert.equal(judy.last('error').message, 'Not in a room');
+});
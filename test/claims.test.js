@@ -0,0 +1,43 @@
+// claims.test.js - Win claims are only paid on cards dealt before the game started
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyClaim } from '../server/claims.js';
+import { issueCard } from '../server/cards.js';
+import { getCardNumbers } from '../card.js';
+
+// A running 30-ball game that has called every number on board 1
+function createRunningRoom(card, startedAt) {
+    return {
+        id: 'room_test',
+        gameType: '30ball',
+        stake: 25,
+        gameActive: true,
+        patterns: null,
+        stage: null,
+        winners: [],
+        payouts: null,
+        players: new Set(),
+        calledNumbers: getCardNumbers(card),
+        draw: { startedAt }
+    };
+}
+
+test('a card dealt before the game started can win', () => {
+    const card = { ...issueCard('30ball', 1), issuedAt: 1000 };
+    const room = createRunningRoom(card, 2000);
+
+    const result = verifyClaim({ cards: [card] }, room, 'full-house');
+
+    assert.equal(result.valid, true);
+    assert.equal(result.cardId, card.id);
+});
+
+test('a card dealt mid-game cannot win, even when it is complete', () => {
+    const card = { ...issueCard('30ball', 1), issuedAt: 3000 };
+    const room = createRunningRoom(card, 2000);
+
+    const result = verifyClaim({ cards: [card] }, room, 'full-house');
+
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'No card issued for this game');
+});
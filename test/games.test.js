@@ -0,0 +1,79 @@
+// games.test.js - Stakes, pots and commission across the games of one room
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectAdmin, connectPlayer, balanceOf } from './harness.js';
+import { getBalance, roomAccount, HOUSE_ACCOUNT } from '../server/wallet.js';
+import { rooms } from '../server/store.js';
+
+const ROOM_ID = 'room_75ball';
+
+function playGame(admin) {
+    admin.send({ type: 'start_game', roomId: ROOM_ID });
+    const started = admin.last('game_started');
+    admin.send({ type: 'admin_command', command: 'end_game', data: { roomId: ROOM_ID } });
+    return started;
+}
+
+test('every game in a room is paid from the cards bought for it', () => {
+    const admin = connectAdmin();
+    const alice = connectPlayer('Alice', 100);
+    const bob = connectPlayer('Bob', 100);
+
+    alice.send({ type: 'join_room' });
+    bob.send({ type: 'join_room' });
+    const first = playGame(admin);
+
+    // Only Alice buys in again
+    alice.send({ type: 'leave_room' });
+    bob.send({ type: 'leave_room' });
+    alice.send({ type: 'join_room' });
+    const second = playGame(admin);
+
+    assert.equal(first.payouts.pot, 50);
+    assert.equal(second.payouts.pot, 25);
+    assert.equal(second.payouts.commission, Math.floor(first.payouts.commission / 2));
+
+    // Nobody won, so every stake ended up with the house and the room is empty
+    assert.equal(balanceOf(alice), 50);
+    assert.equal(balanceOf(bob), 75);
+    assert.equal(getBalance(HOUSE_ACCOUNT), 75);
+    assert.equal(getBalance(roomAccount(ROOM_ID)), 0);
+});
+
+test('cards last one game; staying for the next one means buying again', () => {
+    const admin = connectAdmin();
+    const carol = connectPlayer('Carol', 100, { gameType: '30ball' });
+    const dave = connectPlayer('Dave', 100, { gameType: '30ball' });
+    const roomId = 'room_30ball';
+
+    carol.send({ type: 'join_room' });
+    dave.send({ type: 'join_room' });
+    admin.send({ type: 'start_game', roomId });
+    admin.send({ type: 'admin_command', command: 'end_game', data: { roomId } });
+
+    // Both stay in the room without buying: they sit the next game out
+    admin.send({ type: 'start_game', roomId });
+    assert.equal(admin.last('game_started').playerCount, 0);
+    for (let i = 0; i < 5; i++) {
+        admin.send({ type: 'number_called', roomId });
+    }
+    dave.send({ type: 'win', pattern: 'full-house' });
+    assert.equal(dave.last('win_rejected').reason, 'No card issued for this game');
+    assert.equal(balanceOf(carol), 75);
+    assert.equal(balanceOf(dave), 75);
+    admin.send({ type: 'admin_command', command: 'end_game', data: { roomId } });
+
+    carol.send({ type: 'join_room' });
+    assert.equal(carol.last('room_joined').cards.length, 1);
+    assert.equal(balanceOf(carol), 50);
+});
+
+test('admins cannot pick a room ID that breaks out of the lobby markup', () => {
+    const admin = connectAdmin();
+    const roomId = "x');alert(1)//";
+
+    admin.send({ type: 'start_game', roomId });
+
+    assert.match(admin.last('error').message, /Room IDs may only use/);
+    assert.equal(rooms.has(roomId), false);
+});
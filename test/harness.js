@@ -0,0 +1,71 @@
+// harness.js - Runs the reference server's handlers in-process for tests
+//
+// Each test file gets its own process, so importing this gives it a fresh
+// server with an empty data directory. Connections are fakes that keep what
+// the server sent them.
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mel-bingo-test-'));
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Read by server/config.js, so set before the server is imported
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-password';
+process.env.CLAIM_WINDOW_MS = '10';
+
+const { handleMessage } = await import('../server/handlers.js');
+const { addClient } = await import('../server/store.js');
+const { loadAdmins } = await import('../server/auth.js');
+const { transfer, getBalance, playerAccount, CASH_ACCOUNT } = await import('../server/wallet.js');
+
+loadAdmins();
+
+export const DATA_DIR = dataDir;
+
+// A client connection; send() hands a message to the server, the replies
+// collect in `received`
+export function connect() {
+    const connection = {
+        readyState: 1,
+        closeCode: null,
+        send(data) {
+            client.received.push(JSON.parse(data));
+            return true;
+        },
+        close(code) {
+            this.readyState = 3;
+            this.closeCode = code;
+        }
+    };
+
+    const client = addClient(connection);
+    client.received = [];
+    client.send = message => handleMessage(client, JSON.stringify(message));
+    client.last = type => client.received.filter(message => message.type === type).pop() || null;
+    return client;
+}
+
+export function connectAdmin() {
+    const admin = connect();
+    admin.send({ type: 'admin_login', username: 'admin', password: 'test-password' });
+    admin.send({ type: 'hello', isAdmin: true, token: admin.last('admin_session').token, protocolVersions: [1] });
+    return admin;
+}
+
+// A registered player holding `balance` ETB
+export function connectPlayer(name, balance = 0, registration = {}) {
+    const player = connect();
+    player.send({ type: 'hello', protocolVersions: [1] });
+    player.send({ type: 'register', name, phone: '0911000000', ...registration });
+
+    if (balance > 0) {
+        transfer({ type: 'deposit', from: CASH_ACCOUNT, to: playerAccount(player.playerId), amount: balance });
+    }
+    return player;
+}
+
+export function balanceOf(client) {
+    return getBalance(playerAccount(client.playerId));
+}
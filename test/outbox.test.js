@@ -0,0 +1,29 @@
+// outbox.test.js - Retrying what the server refused
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectPlayer, balanceOf } from './harness.js';
+import { transfer, playerAccount, CASH_ACCOUNT } from '../server/wallet.js';
+import { addMessage, markRefused, retryMessage, listMessages } from '../outbox.js';
+
+test('a refused message retried later is handled, not just acked as a duplicate', () => {
+    const frank = connectPlayer('Frank', 50);
+    const withdraw = { type: 'withdraw', messageId: 'withdraw-1', amount: 200, accountNumber: '1000' };
+
+    addMessage(withdraw);
+    frank.send(withdraw);
+    const refusal = frank.last('error');
+    assert.equal(refusal.replyTo, 'withdraw-1');
+    markRefused(refusal.replyTo, refusal.message);
+
+    // Topped up, the player tries again
+    transfer({ type: 'deposit', from: CASH_ACCOUNT, to: playerAccount(frank.playerId), amount: 500 });
+    const entry = retryMessage('withdraw-1');
+    assert.notEqual(entry.messageId, 'withdraw-1');
+    assert.equal(entry.message.messageId, entry.messageId);
+    assert.equal(entry.status, 'queued');
+    assert.deepEqual(listMessages().map(listed => listed.messageId), [entry.messageId]);
+
+    frank.send(entry.message);
+    assert.equal(frank.last('withdrawal_processing').amount, 200);
+    assert.equal(balanceOf(frank), 350);
+});
@@ -0,0 +1,43 @@
+// players.test.js - Taking over a player needs their resume token, restart or not
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect, connectPlayer, balanceOf } from './harness.js';
+import { players, loadPlayers } from '../server/store.js';
+
+// What a restart leaves: the saved players, without anything in memory
+function restart() {
+    players.clear();
+    loadPlayers();
+}
+
+test('a player ID the server does not know is never taken on', () => {
+    const stranger = connect();
+    stranger.send({ type: 'hello', playerId: 'victim_1', protocolVersions: [1] });
+
+    assert.equal(stranger.last('error').code, 'resume_denied');
+    assert.equal(stranger.playerId, null);
+    assert.equal(players.has('victim_1'), false);
+
+    // Registering makes a player with an ID of the server's choosing
+    stranger.send({ type: 'register', playerId: 'victim_1', name: 'Mallory', phone: '0900000000' });
+    assert.notEqual(stranger.last('registration_success').playerId, 'victim_1');
+});
+
+test('only the resume token gets a player back after a restart', () => {
+    const victim = connectPlayer('Victim', 500);
+    const { playerId, resumeToken } = victim.last('registration_success');
+
+    restart();
+
+    const attacker = connect();
+    attacker.send({ type: 'hello', playerId, protocolVersions: [1] });
+    assert.equal(attacker.last('error').code, 'resume_denied');
+    attacker.send({ type: 'withdraw', playerId, amount: 100, accountNumber: '1000' });
+    assert.equal(attacker.last('withdrawal_processing'), null);
+
+    const device = connect();
+    device.send({ type: 'resume', playerId, resumeToken, protocolVersions: [1] });
+    assert.equal(device.last('welcome').balance, 500);
+    assert.equal(device.last('resume_state').player.name, 'Victim');
+    assert.equal(balanceOf(device), 500);
+});
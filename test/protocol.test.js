@@ -0,0 +1,35 @@
+// protocol.test.js - Secrets never reach the logs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redactSecrets, validateMessage } from '../protocol.js';
+
+test('passwords and tokens are masked, also inside admin command data', () => {
+    const message = {
+        type: 'admin_command',
+        token: 'admin-token',
+        command: 'change_password',
+        data: { currentPassword: 'old-secret', newPassword: 'new-secret' }
+    };
+
+    assert.deepEqual(redactSecrets(message), {
+        type: 'admin_command',
+        token: '[redacted]',
+        command: 'change_password',
+        data: { currentPassword: '[redacted]', newPassword: '[redacted]' }
+    });
+    assert.equal(message.data.newPassword, 'new-secret');
+});
+
+test('login passwords and resume tokens are masked', () => {
+    assert.equal(redactSecrets({ type: 'admin_login', username: 'admin', password: 'secret' }).password, '[redacted]');
+    assert.equal(redactSecrets({ type: 'registration_success', resumeToken: 'abc' }).resumeToken, '[redacted]');
+});
+
+test('a schedule needs a game type and stake, and its other fields are checked', () => {
+    const schedule = data => validateMessage({ type: 'admin_command', command: 'create_schedule', data }, 'client');
+
+    assert.equal(schedule({ gameType: '75ball', stake: '25', repeat: 'interval', everyMinutes: '15' }), null);
+    assert.equal(schedule({ stake: 25 }).field, 'data.gameType');
+    assert.equal(schedule({ gameType: '75ball', stake: 25, startsAt: NaN }).field, 'data.startsAt');
+    assert.equal(schedule({ gameType: '75ball', stake: 25, minPlayers: 'two' }).field, 'data.minPlayers');
+});
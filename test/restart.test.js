@@ -0,0 +1,51 @@
+// restart.test.js - Money left in rooms when the server restarts
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectAdmin, connectPlayer, balanceOf } from './harness.js';
+import { getBalance, roomAccount, HOUSE_ACCOUNT } from '../server/wallet.js';
+import { players, rooms, loadPlayers } from '../server/store.js';
+import { refundOpenRooms } from '../server/handlers.js';
+
+// What a restart leaves: the ledger and the saved players, no rooms
+function restart() {
+    rooms.clear();
+    players.clear();
+    loadPlayers();
+    refundOpenRooms();
+}
+
+test('cards bought for a game that never started are refunded', () => {
+    const kim = connectPlayer('Kim', 100);
+    const leo = connectPlayer('Leo', 100);
+    kim.send({ type: 'join_room' });
+    leo.send({ type: 'join_room' });
+    leo.send({ type: 'leave_room' });
+    leo.send({ type: 'join_room' });
+    assert.equal(getBalance(roomAccount('room_75ball')), 50);
+
+    restart();
+
+    assert.equal(balanceOf(kim), 100);
+    assert.equal(balanceOf(leo), 100);
+    assert.equal(getBalance(roomAccount('room_75ball')), 0);
+});
+
+test('what is left of a game cut short goes back to the players who bought in', () => {
+    const admin = connectAdmin();
+    const mia = connectPlayer('Mia', 100, { gameType: '30ball' });
+    const ned = connectPlayer('Ned', 100, { gameType: '30ball' });
+    const roomId = 'room_30ball';
+    mia.send({ type: 'join_room' });
+    ned.send({ type: 'join_room' });
+    admin.send({ type: 'start_game', roomId });
+    const { commission } = admin.last('game_started').payouts;
+    const house = getBalance(HOUSE_ACCOUNT);
+
+    restart();
+
+    const share = Math.floor((50 - commission) / 2);
+    assert.equal(balanceOf(mia), 75 + share);
+    assert.equal(balanceOf(ned), 75 + share);
+    assert.equal(getBalance(HOUSE_ACCOUNT), house + (50 - commission) - 2 * share);
+    assert.equal(getBalance(roomAccount(roomId)), 0);
+});
@@ -0,0 +1,18 @@
+// withdrawals.test.js - Who reviewed a withdrawal request
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectAdmin, connectPlayer } from './harness.js';
+import { listWithdrawals } from '../server/withdrawals.js';
+
+test('the history names the admin account that approved a request', () => {
+    const admin = connectAdmin();
+    const erin = connectPlayer('Erin', 500);
+
+    erin.send({ type: 'withdraw', amount: 200, accountNumber: '1000' });
+    const [request] = listWithdrawals({ playerId: erin.playerId });
+    admin.send({ type: 'admin_command', command: 'update_withdrawal', data: { requestId: request.id, status: 'approved', note: 'ok' } });
+
+    const step = listWithdrawals({ playerId: erin.playerId })[0].history.at(-1);
+    assert.equal(step.status, 'approved');
+    assert.equal(step.by, 'admin');
+});
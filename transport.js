@@ -0,0 +1,448 @@
+// transport.js - WebSocket connection shared by the player app and the admin panel
+//
+// Opens the socket, falls back through the configured endpoints, reconnects
+// with backoff and keeps the connection alive with pings. It also does the
+// delivery bookkeeping every client needs: message IDs, acks, event sequence
+// checks, protocol checks and (for the player app) the persistent outbox.
+// What a message means is left to the app, which listens for 'message' and
+// dispatches on its type.
+//
+// Both directions are checked against the shared schema in protocol.js: a
+// malformed message from the server is dropped ('message_error') and one the
+// app tries to send is refused ('send_error') before it reaches the outbox.
+//
+// Events on the bus: 'status' ({ state, endpoint, attempts, delay }),
+// 'connected', 'disconnected', 'socket_error', 'message', 'message_error',
+// 'send_error', 'ack', 'pong', 'resend_unavailable', 'reconnect_failed',
+// 'protocol_unsupported' (the server speaks none of our protocol versions) and
+// 'outbox_confirmation_needed' (payments held until the player confirms).
+import { WS_ENDPOINTS, RECONNECT_POLICY, PING_INTERVAL_MS } from './config.js';
+import { validateMessage, redactSecrets, SUPPORTED_PROTOCOL_VERSIONS } from './protocol.js';
+import {
+    openOutbox,
+    addMessage,
+    markSent,
+    markAcked,
+    markFailed,
+    markRefused,
+    getReplayQueue,
+    getPendingMessages,
+    needsConfirmation,
+    retryMessage,
+    createMessageId
+} from './outbox.js';
+
+// Connection setup and transport messages are never retried, and neither is
+// call signalling, which is stale once the connection drops
+const UNTRACKED_TYPES = ['hello', 'resume', 'ping', 'pong', 'resend', 'offer', 'answer', 'ice_candidate'];
+
+// Options:
+//   endpoints  URLs tried in order, moving on when one cannot be reached
+//   hello      () => first message on every connection, or null for none
+//   outbox     keep unacked messages in the persistent outbox; the outbox is
+//              one per page, so only the player's transport turns this on
+export function createTransport(options = {}) {
+    const { endpoints = WS_ENDPOINTS, hello = () => null, outbox = false } = options;
+
+    const listeners = new Map();
+    const outboxReady = outbox ? openOutbox() : null;
+
+    let socket = null;
+    let state = 'disconnected';
+    let endpointIndex = 0;
+    let attempts = 0;
+    let reconnectTimer = null;
+    let pingTimer = null;
+    let lastHeard = 0;
+    let latency = 0;
+    // Version agreed in the server's welcome (null until then)
+    let protocolVersion = null;
+    // Until connect(), and again after disconnect(), nothing reconnects
+    let stopped = true;
+
+    // Last event sequence number handled on this connection (null: none yet)
+    let lastSeq = null;
+    let resendRequested = false;
+
+    // Back online: try straight away instead of waiting out the backoff
+    if (typeof window !== 'undefined') {
+        window.addEventListener('online', () => {
+            if (!stopped && !isConnected()) reconnect();
+        });
+    }
+
+    function connect() {
+        stopped = false;
+        if (socket) return true;
+
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+
+        const endpoint = endpoints[endpointIndex];
+        let opened = false;
+
+        setStatus('connecting');
+        console.log('Connecting to WebSocket:', endpoint);
+
+        try {
+            socket = new WebSocket(endpoint);
+        } catch (error) {
+            console.error('WebSocket connection failed:', error);
+            socket = null;
+            nextEndpoint();
+            scheduleReconnect();
+            return false;
+        }
+
+        const current = socket;
+
+        current.onopen = (event) => {
+            opened = true;
+            attempts = 0;
+
+            // Sequence numbers start over on every connection
+            lastSeq = null;
+            resendRequested = false;
+            protocolVersion = null;
+
+            startPing();
+            sendHello();
+            setStatus('connected');
+            emit('connected', event);
+
+            // Retry what was never acked or was queued offline
+            if (outboxReady) outboxReady.then(replayOutbox);
+        };
+
+        current.onmessage = (event) => receive(event.data);
+
+        const closed = (event) => {
+            // A socket already replaced or given up on has nothing left to report
+            if (socket !== current) return;
+
+            console.log('WebSocket closed:', event.code, event.reason);
+            socket = null;
+            stopPing();
+
+            if (!opened) nextEndpoint();
+
+            setStatus('disconnected');
+            emit('disconnected', event);
+
+            if (!stopped) scheduleReconnect();
+        };
+
+        current.onclose = closed;
+
+        current.onerror = (error) => {
+            console.error('WebSocket error:', error);
+            emit('socket_error', error);
+
+            // Not every runtime follows a failed connect with a close event
+            if (!opened) closed({ code: 1006, reason: 'Connection failed' });
+        };
+
+        return true;
+    }
+
+    function disconnect() {
+        stopped = true;
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        stopPing();
+
+        if (socket) {
+            const current = socket;
+            socket = null;
+            current.close(1000, 'User initiated disconnect');
+        }
+
+        setStatus('disconnected');
+    }
+
+    // Start over now with a full set of attempts
+    function reconnect() {
+        if (isConnected()) return true;
+
+        attempts = 0;
+        if (socket) {
+            const current = socket;
+            socket = null;
+            current.close();
+        }
+        return connect();
+    }
+
+    // Exponential backoff, capped; after maxAttempts the transport waits for
+    // reconnect(), a send or the browser coming back online
+    function scheduleReconnect() {
+        if (reconnectTimer) return;
+
+        if (attempts >= RECONNECT_POLICY.maxAttempts) {
+            console.warn('Max reconnection attempts reached');
+            setStatus('failed');
+            emit('reconnect_failed', { attempts });
+            return;
+        }
+
+        attempts++;
+        const delay = Math.min(RECONNECT_POLICY.baseDelayMs * Math.pow(2, attempts - 1), RECONNECT_POLICY.maxDelayMs);
+        console.log(`Reconnecting in ${delay}ms (attempt ${attempts}/${RECONNECT_POLICY.maxAttempts})`);
+
+        setStatus('reconnecting', { delay });
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect();
+        }, delay);
+    }
+
+    function nextEndpoint() {
+        endpointIndex = (endpointIndex + 1) % endpoints.length;
+    }
+
+    function setStatus(newState, extra = {}) {
+        state = newState;
+        emit('status', { state, endpoint: endpoints[endpointIndex], attempts, ...extra });
+    }
+
+    // Ping every interval; nothing heard for two intervals means the
+    // connection is dead even if the socket has not noticed
+    function startPing() {
+        stopPing();
+        lastHeard = Date.now();
+
+        pingTimer = setInterval(() => {
+            if (Date.now() - lastHeard > PING_INTERVAL_MS * 2) {
+                console.warn('No pong received, closing the connection');
+                if (socket) socket.close(4000, 'No pong received');
+                return;
+            }
+            send({ type: 'ping', timestamp: Date.now() }, false);
+        }, PING_INTERVAL_MS);
+    }
+
+    function stopPing() {
+        clearInterval(pingTimer);
+        pingTimer = null;
+    }
+
+    // Every hello offers the protocol versions this client speaks
+    function sendHello() {
+        const message = hello();
+        if (message) send({ ...message, protocolVersions: SUPPORTED_PROTOCOL_VERSIONS }, false);
+    }
+
+    // ===== RECEIVING =====
+
+    function receive(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.error('Error parsing message:', error, data);
+            emit('message_error', { error, data });
+            return;
+        }
+
+        lastHeard = Date.now();
+
+        // Never held back by the sequence check: it is what ends a gap
+        if (message.type !== 'resend_unavailable' && !checkSequence(message)) return;
+
+        const problem = validateMessage(message, 'server');
+        if (problem) {
+            console.error('Dropping malformed message:', problem.message, message);
+            emit('message_error', { error: problem, data });
+            return;
+        }
+
+        switch (message.type) {
+            case 'ping':
+                send({ type: 'pong', timestamp: message.timestamp }, false);
+                return;
+            case 'pong':
+                latency = Date.now() - message.timestamp;
+                emit('pong', { ...message, latency });
+                return;
+            case 'ack':
+                if (outbox) markAcked(message.messageId);
+                emit('ack', message);
+                return;
+            case 'resend_unavailable':
+                // The missed events are gone from the server's history: say
+                // hello again (a resume for players) to get a fresh snapshot
+                console.warn('Resend unavailable from', message.fromSeq);
+                lastSeq = null;
+                resendRequested = false;
+                sendHello();
+                emit('resend_unavailable', message);
+                return;
+            case 'welcome':
+                protocolVersion = message.protocolVersion;
+                break;
+            case 'error':
+                if (outbox && message.replyTo) {
+                    markRefused(message.replyTo, message.message);
+                }
+                // Reconnecting would only be refused again
+                if (message.code === 'unsupported_protocol') {
+                    disconnect();
+                    emit('protocol_unsupported', message);
+                    return;
+                }
+                break;
+        }
+
+        emit('message', message);
+    }
+
+    // Events are numbered per connection. A gap means an event was lost: ask
+    // for everything from the first missing one and drop events until it arrives.
+    function checkSequence(message) {
+        if (typeof message.seq !== 'number') return true;
+
+        if (lastSeq !== null && message.seq <= lastSeq) {
+            // Already handled (a resend overlapping what we had)
+            return false;
+        }
+
+        if (lastSeq !== null && message.seq > lastSeq + 1) {
+            if (!resendRequested) {
+                resendRequested = true;
+                console.warn(`Missed events ${lastSeq + 1}-${message.seq - 1}, asking for a resend`);
+                send({ type: 'resend', fromSeq: lastSeq + 1 }, false);
+            }
+            return false;
+        }
+
+        lastSeq = message.seq;
+        resendRequested = false;
+        return true;
+    }
+
+    // ===== SENDING =====
+
+    // True once the message is on the wire. With the outbox on, a tracked
+    // message that could not go out is kept and sent after the next connect.
+    function send(message, queueIfOffline = true) {
+        // Tagged once, so the server can tell a retry from a new message
+        if (message && typeof message === 'object' && !message.messageId &&
+            !UNTRACKED_TYPES.includes(message.type)) {
+            message = { ...message, messageId: createMessageId() };
+        }
+
+        // The server would refuse it; an outbox entry saved by an older
+        // version of the app is marked failed instead of replayed forever
+        const problem = validateMessage(message, 'client');
+        if (problem) {
+            console.error('Invalid message:', problem.message, message);
+            if (outbox && message && message.messageId) {
+                markFailed(message.messageId, problem.message);
+            }
+            emit('send_error', { error: problem, message });
+            return false;
+        }
+
+        // Saved before sending, so it survives a dropped connection or a reload
+        const tracked = outbox && Boolean(message.messageId);
+        if (tracked && queueIfOffline) {
+            addMessage(message);
+        }
+
+        if (!isConnected()) {
+            console.warn('WebSocket not connected, not sent:', message.type);
+            if (!stopped && state === 'failed') reconnect();
+            return false;
+        }
+
+        try {
+            socket.send(JSON.stringify(message));
+            console.log('Sent:', message.type, redactSecrets(message));
+
+            if (tracked) markSent(message.messageId);
+            return true;
+        } catch (error) {
+            console.error('Error sending message:', error);
+            return false;
+        }
+    }
+
+    // Send the outbox again, oldest first so the server sees messages in order.
+    // Payments and withdrawals wait until the player confirms them.
+    function replayOutbox() {
+        if (!isConnected()) return;
+
+        getReplayQueue().forEach(entry => send(entry.message, false));
+
+        const held = getPendingMessages().filter(needsConfirmation);
+        if (held.length > 0) {
+            emit('outbox_confirmation_needed', held);
+        }
+    }
+
+    // Queue a failed or held outbox message again and send it if connected;
+    // for payments this is the confirmation
+    function retryOutboxMessage(messageId) {
+        const entry = retryMessage(messageId);
+        if (entry) send(entry.message, false);
+        return Boolean(entry);
+    }
+
+    // ===== EVENT BUS =====
+
+    // Returns a function that removes the listener
+    function on(event, listener) {
+        if (!listeners.has(event)) {
+            listeners.set(event, []);
+        }
+        listeners.get(event).push(listener);
+        return () => off(event, listener);
+    }
+
+    function off(event, listener) {
+        const list = listeners.get(event);
+        if (!list) return;
+
+        const index = list.indexOf(listener);
+        if (index > -1) list.splice(index, 1);
+    }
+
+    // Apps emit their own events (per message type) on the same bus
+    function emit(event, data) {
+        (listeners.get(event) || []).slice().forEach(listener => {
+            try {
+                listener(data);
+            } catch (error) {
+                console.error(`Error in ${event} listener:`, error);
+            }
+        });
+    }
+
+    function isConnected() {
+        return Boolean(socket) && socket.readyState === WebSocket.OPEN;
+    }
+
+    function getStatus() {
+        return {
+            state,
+            connected: isConnected(),
+            endpoint: endpoints[endpointIndex],
+            attempts,
+            latency,
+            protocolVersion
+        };
+    }
+
+    return {
+        connect,
+        disconnect,
+        reconnect,
+        send,
+        retryOutboxMessage,
+        on,
+        off,
+        emit,
+        isConnected,
+        getStatus
+    };
+}
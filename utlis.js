@@ -22,9 +22,11 @@ export function showNotification(message, isError = false) {
     notification.id = 'notification';
     notification.className = `notification ${isError ? 'error' : 'success'}`;
     notification.innerHTML = `
-        <div class="notification-content amharic-text">${message}</div>
+        <div class="notification-content amharic-text"></div>
         <button class="notification-close" onclick="this.parentElement.remove()">×</button>
     `;
+    // Messages often carry player names, so they are never parsed as HTML
+    notification.querySelector('.notification-content').textContent = message;
     
     // Add to body
     document.body.appendChild(notification);
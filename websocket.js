@@ -1,17 +1,13 @@
-import { WS_URL } from '../config/config.js';
+import { createTransport } from './transport.js';
 import { showNotification } from './utils.js';
-
-// WebSocket connection
-let ws = null;
-let reconnectAttempts = 0;
-const MAX_RECONNECT_ATTEMPTS = 5;
-const RECONNECT_DELAY = 3000;
-const PING_INTERVAL = 30000; // 30 seconds
-let pingInterval = null;
-let lastPong = Date.now();
-
-// Message queue for offline mode
-const messageQueue = [];
+import { verifyReceivedDraw } from './draw.js';
+import {
+    getPendingMessages,
+    listMessages,
+    discardMessage,
+    onOutboxChange
+} from './outbox.js';
+import { redactSecrets } from './protocol.js';
 
 // Connection status
 export const connectionStatus = {
@@ -21,9 +17,100 @@ export const connectionStatus = {
     playerId: null,
     isAdmin: false,
     gameActive: false,
+    draw: null,
+    // Commitment seen before the first call, and the calls since, for
+    // checking the draw revealed when the game ends
+    drawCommitment: null,
+    calledNumbers: [],
     pingLatency: 0
 };
 
+// Sent with the hello when the app connects as an admin
+let adminToken = null;
+
+// Secret the server gave this player to resume with; kept out of
+// connectionStatus, which anyone may read
+let resumeToken = null;
+
+// The player's connection. Messages not acked yet are kept in the outbox
+// (IndexedDB) and sent again after a reconnect or a reload, within the time
+// the server remembers message IDs (see outbox.js). Known players resume, so
+// the server sends back their room and game.
+const transport = createTransport({
+    outbox: true,
+    hello: () => ({
+        type: connectionStatus.playerId && !connectionStatus.isAdmin ? 'resume' : 'hello',
+        playerId: connectionStatus.playerId,
+        resumeToken,
+        isAdmin: connectionStatus.isAdmin,
+        token: adminToken,
+        deviceInfo: {
+            userAgent: navigator.userAgent,
+            platform: navigator.platform,
+            language: navigator.language,
+            screen: {
+                width: window.screen.width,
+                height: window.screen.height
+            }
+        }
+    })
+});
+
+transport.on('connected', () => {
+    connectionStatus.connected = true;
+    showNotification('Connected to game server', false);
+});
+
+transport.on('disconnected', () => {
+    connectionStatus.connected = false;
+    showNotification('Disconnected from server', true);
+});
+
+transport.on('status', (status) => {
+    if (status.state === 'reconnecting') {
+        showNotification(`Reconnecting in ${Math.ceil(status.delay / 1000)} seconds...`, true);
+    }
+});
+
+transport.on('reconnect_failed', () => {
+    showNotification('Cannot reconnect to server. Please refresh the page.', true);
+});
+
+transport.on('pong', (message) => {
+    connectionStatus.pingLatency = message.latency;
+});
+
+transport.on('outbox_confirmation_needed', (held) => {
+    showNotification(`${held.length} payment message(s) waiting for your confirmation`, true);
+});
+
+transport.on('message_error', () => {
+    showNotification('Error processing server message', true);
+});
+
+transport.on('send_error', ({ error }) => {
+    showNotification(`Message not sent: ${error.message}`, true);
+});
+
+transport.on('protocol_unsupported', () => {
+    showNotification('This app is out of date. Please refresh the page.', true);
+});
+
+transport.on('message', (message) => {
+    connectionStatus.lastMessage = {
+        type: message.type,
+        timestamp: Date.now(),
+        data: message
+    };
+    
+    if (messageHandlers[message.type]) {
+        messageHandlers[message.type](message);
+    } else {
+        console.warn(`No handler for message type: ${message.type}`);
+        handleUnknownMessage(message);
+    }
+});
+
 // Message handlers
 const messageHandlers = {
     welcome: handleWelcome,
@@ -32,311 +119,91 @@ const messageHandlers = {
     number_called: handleNumberCalled,
     game_started: handleGameStarted,
     game_ended: handleGameEnded,
+    stage_changed: handleStageChanged,
+    payouts_updated: handlePayoutsUpdated,
     win_announced: handleWinAnnounced,
     admin_message: handleAdminMessage,
     error: handleError,
-    ping: handlePing,
-    pong: handlePong,
     registration_success: handleRegistrationSuccess,
     room_joined: handleRoomJoined,
+    resume_state: handleResumeState,
     room_left: handleRoomLeft,
+    lobby: handleLobby,
+    room_updated: handleRoomUpdated,
+    room_closed: handleRoomClosed,
+    payment_initiated: handlePaymentInitiated,
+    payment_pending: handlePaymentPending,
+    payment_failed: handlePaymentFailed,
     payment_confirmed: handlePaymentConfirmed,
+    transaction_recorded: handleTransactionRecorded,
+    transactions: handleTransactions,
     win_confirmed: handleWinConfirmed,
+    win_rejected: handleWinRejected,
+    claim_pending: handleClaimPending,
     withdrawal_processing: handleWithdrawalProcessing,
+    withdrawal_updated: handleWithdrawalUpdated,
+    withdrawals: handleWithdrawals,
     player_won: handlePlayerWon,
     player_paid: handlePlayerPaid,
     player_disconnected: handlePlayerDisconnected,
     player_marked: handlePlayerMarked,
     chat_message: handleChatMessage,
+    offer: handleSignal,
+    answer: handleSignal,
+    ice_candidate: handleSignal,
     stats: handleStats,
     players_list: handlePlayersList
 };
 
-// Event listeners
-const eventListeners = new Map();
-
-// Initialize WebSocket connection
+// Start (or keep) the player's connection
 export function initWebSocket(options = {}) {
-    if (ws && ws.readyState === WebSocket.OPEN) {
-        console.log('WebSocket already connected');
-        return true;
-    }
-    
-    if (ws) {
-        ws.close();
-        ws = null;
-    }
-    
     const { 
         playerId = null, 
         isAdmin = false, 
-        adminToken = null,
         onConnected = null,
         onDisconnected = null,
         onError = null
     } = options;
     
-    // Store connection parameters
-    connectionStatus.playerId = playerId;
-    connectionStatus.isAdmin = isAdmin;
-    
-    try {
-        console.log(`Connecting to WebSocket: ${WS_URL}`);
-        ws = new WebSocket(WS_URL);
-        
-        ws.onopen = (event) => {
-            console.log('WebSocket connection established');
-            connectionStatus.connected = true;
-            reconnectAttempts = 0;
-            
-            // Start ping interval
-            startPingInterval();
-            
-            // Send hello message
-            sendMessage({
-                type: 'hello',
-                playerId: playerId,
-                isAdmin: isAdmin,
-                token: adminToken,
-                deviceInfo: {
-                    userAgent: navigator.userAgent,
-                    platform: navigator.platform,
-                    language: navigator.language,
-                    screen: {
-                        width: window.screen.width,
-                        height: window.screen.height
-                    }
-                }
-            });
-            
-            showNotification('Connected to game server', false);
-            
-            // Trigger connected event
-            if (onConnected) onConnected(event);
-            triggerEvent('connected', event);
-            
-            // Process queued messages
-            processMessageQueue();
-        };
-        
-        ws.onmessage = (event) => {
-            try {
-                const message = JSON.parse(event.data);
-                console.log('Received message:', message.type, message);
-                
-                connectionStatus.lastMessage = {
-                    type: message.type,
-                    timestamp: Date.now(),
-                    data: message
-                };
-                
-                // Handle message by type
-                if (messageHandlers[message.type]) {
-                    messageHandlers[message.type](message);
-                } else {
-                    console.warn(`No handler for message type: ${message.type}`);
-                    handleUnknownMessage(message);
-                }
-                
-                // Trigger generic message event
-                triggerEvent('message', message);
-                
-            } catch (error) {
-                console.error('Error parsing message:', error, event.data);
-                showNotification('Error processing server message', true);
-                triggerEvent('message_error', { error, data: event.data });
-            }
-        };
-        
-        ws.onclose = (event) => {
-            console.log('WebSocket connection closed:', event.code, event.reason);
-            connectionStatus.connected = false;
-            
-            // Stop ping interval
-            stopPingInterval();
-            
-            // Clean up
-            ws = null;
-            
-            // Check if we should reconnect
-            if (event.code !== 1000 && event.code !== 1001 && reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
-                attemptReconnection();
-            }
-            
-            showNotification('Disconnected from server', true);
-            
-            // Trigger disconnected event
-            if (onDisconnected) onDisconnected(event);
-            triggerEvent('disconnected', event);
-        };
-        
-        ws.onerror = (error) => {
-            console.error('WebSocket error:', error);
-            connectionStatus.connected = false;
-            
-            showNotification('Connection error occurred', true);
-            
-            // Trigger error event
-            if (onError) onError(error);
-            triggerEvent('error', error);
-        };
-        
+    if (transport.isConnected()) {
+        console.log('WebSocket already connected');
         return true;
-        
-    } catch (error) {
-        console.error('Failed to initialize WebSocket:', error);
-        showNotification('Failed to connect to server', true);
-        
-        if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
-            attemptReconnection();
-        }
-        
-        return false;
     }
-}
-
-// Reconnection logic
-function attemptReconnection() {
-    reconnectAttempts++;
     
-    if (reconnectAttempts > MAX_RECONNECT_ATTEMPTS) {
-        console.log('Max reconnection attempts reached');
-        showNotification('Cannot reconnect to server. Please refresh the page.', true);
-        return;
-    }
-    
-    const delay = RECONNECT_DELAY * Math.pow(2, reconnectAttempts - 1);
-    console.log(`Attempting reconnection in ${delay}ms (attempt ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`);
+    // Sent in the hello on every connection
+    connectionStatus.playerId = playerId || connectionStatus.playerId;
+    connectionStatus.isAdmin = isAdmin;
+    adminToken = options.adminToken || null;
+    resumeToken = options.resumeToken || resumeToken;
     
-    showNotification(`Reconnecting in ${Math.ceil(delay/1000)} seconds...`, true);
+    if (onConnected) transport.on('connected', onConnected);
+    if (onDisconnected) transport.on('disconnected', onDisconnected);
+    if (onError) transport.on('socket_error', onError);
     
-    setTimeout(() => {
-        console.log('Attempting to reconnect...');
-        initWebSocket({
-            playerId: connectionStatus.playerId,
-            isAdmin: connectionStatus.isAdmin
-        });
-    }, delay);
+    return transport.connect();
 }
 
-// Ping/pong for keep-alive
-function startPingInterval() {
-    stopPingInterval();
-    
-    pingInterval = setInterval(() => {
-        if (ws && ws.readyState === WebSocket.OPEN) {
-            lastPong = Date.now();
-            sendMessage({
-                type: 'ping',
-                timestamp: Date.now()
-            });
-        }
-        
-        // Check if we haven't received a pong in 2x ping interval
-        if (Date.now() - lastPong > PING_INTERVAL * 2) {
-            console.warn('No pong received, connection may be dead');
-            if (ws) {
-                ws.close(1001, 'No pong received');
-            }
-        }
-    }, PING_INTERVAL);
+// Message sending
+export function sendMessage(message, queueIfOffline = true) {
+    return transport.send(message, queueIfOffline);
 }
 
-function stopPingInterval() {
-    if (pingInterval) {
-        clearInterval(pingInterval);
-        pingInterval = null;
-    }
+// Outbox entries (newest first) for showing queued/sent/acked/failed messages
+export function getOutbox() {
+    return listMessages();
 }
 
-// Message sending
-export function sendMessage(message, queueIfOffline = true) {
-    // Validate message
-    if (!message || typeof message !== 'object') {
-        console.error('Invalid message format:', message);
-        return false;
-    }
-    
-    if (!message.type) {
-        console.error('Message missing type:', message);
-        return false;
-    }
-    
-    // Check connection
-    if (!ws || ws.readyState !== WebSocket.OPEN) {
-        console.warn('WebSocket not connected, queuing message:', message.type);
-        
-        if (queueIfOffline) {
-            // Add to queue with metadata
-            messageQueue.push({
-                ...message,
-                _timestamp: Date.now(),
-                _retryCount: 0
-            });
-        }
-        
-        // Try to reconnect if not already trying
-        if (!connectionStatus.connected && reconnectAttempts === 0) {
-            attemptReconnection();
-        }
-        
-        return false;
-    }
-    
-    try {
-        const messageStr = JSON.stringify(message);
-        ws.send(messageStr);
-        console.log('Sent message:', message.type, message);
-        return true;
-    } catch (error) {
-        console.error('Error sending message:', error);
-        showNotification('Failed to send message', true);
-        
-        // Queue for retry
-        if (queueIfOffline) {
-            messageQueue.push({
-                ...message,
-                _timestamp: Date.now(),
-                _retryCount: 0
-            });
-        }
-        
-        return false;
-    }
+export function onOutboxChanged(callback) {
+    return onOutboxChange(callback);
 }
 
-// Process queued messages
-function processMessageQueue() {
-    const now = Date.now();
-    const maxAge = 5 * 60 * 1000; // 5 minutes
-    
-    for (let i = messageQueue.length - 1; i >= 0; i--) {
-        const queuedMessage = messageQueue[i];
-        
-        // Remove old messages
-        if (now - queuedMessage._timestamp > maxAge) {
-            console.log('Removing old queued message:', queuedMessage.type);
-            messageQueue.splice(i, 1);
-            continue;
-        }
-        
-        // Try to send
-        const { _timestamp, _retryCount, ...message } = queuedMessage;
-        
-        if (sendMessage(message, false)) {
-            // Successfully sent, remove from queue
-            messageQueue.splice(i, 1);
-        } else {
-            // Update retry count
-            queuedMessage._retryCount = _retryCount + 1;
-            
-            // Remove if too many retries
-            if (queuedMessage._retryCount > 3) {
-                console.log('Max retries for queued message:', message.type);
-                messageQueue.splice(i, 1);
-            }
-        }
-    }
+// Send a failed or held message again; for payments this is the confirmation
+export function retryOutboxMessage(messageId) {
+    return transport.retryOutboxMessage(messageId);
+}
+
+export function discardOutboxMessage(messageId) {
+    discardMessage(messageId);
 }
 
 // ===== MESSAGE HANDLERS =====
@@ -345,7 +212,7 @@ function handleWelcome(message) {
     console.log('Welcome message:', message.message);
     showNotification(message.message, false);
     
-    // Store player ID if provided
+    // Store player ID if provided (new players get theirs when they register)
     if (message.playerId) {
         connectionStatus.playerId = message.playerId;
     }
@@ -369,6 +236,7 @@ function handlePlayerLeft(message) {
 
 function handleNumberCalled(message) {
     console.log('Number called:', message.number);
+    connectionStatus.calledNumbers.push(message.number);
     showNotification(`Number called: ${message.number}`, false);
     
     triggerEvent('number_called', message);
@@ -377,22 +245,55 @@ function handleNumberCalled(message) {
 function handleGameStarted(message) {
     console.log('Game started:', message);
     connectionStatus.gameActive = true;
+    connectionStatus.draw = message.draw || null;
+    connectionStatus.drawCommitment = message.draw ? message.draw.commitment : null;
+    connectionStatus.calledNumbers = [];
     showNotification('Game has started!', false);
     
     triggerEvent('game_started', message);
 }
 
-function handleGameEnded(message) {
+function handlePayoutsUpdated(message) {
+    console.log('Payouts updated:', message);
+    triggerEvent('payouts_updated', message);
+}
+
+function handleStageChanged(message) {
+    console.log('Stage changed:', message);
+    showNotification(`Stage ${message.stage + 1}: ${message.pattern.name.en}`, false);
+    
+    triggerEvent('stage_changed', message);
+}
+
+async function handleGameEnded(message) {
     console.log('Game ended:', message);
     connectionStatus.gameActive = false;
     showNotification('Game has ended', false);
     
     triggerEvent('game_ended', message);
+    
+    // Check the revealed seed against the commitment published at game start
+    // and the numbers this client was called
+    if (message.draw) {
+        const result = await verifyReceivedDraw(message.draw, connectionStatus.drawCommitment, connectionStatus.calledNumbers);
+        
+        if (!result.verifiable) {
+            showNotification('Draw could not be verified: joined after the first call', false);
+        } else if (result.valid) {
+            showNotification('Draw verified: every call matched the commitment', false);
+        } else {
+            console.error('Draw verification failed:', result.reason);
+            showNotification(`Draw verification failed: ${result.reason}`, true);
+        }
+        
+        triggerEvent('draw_verified', { ...result, roomId: message.roomId, draw: message.draw });
+    }
 }
 
 function handleWinAnnounced(message) {
     console.log('Win announced:', message);
-    showNotification(`${message.winnerName || 'Player'} won ${message.amount || ''}!`, false);
+    const shared = message.winners && message.winners.length > 1;
+    showNotification(`${message.winnerName || 'Player'} ${shared ? 'share' : 'won'} ${message.amount || ''}!`, false);
     
     triggerEvent('win_announced', message);
 }
@@ -408,30 +309,21 @@ function handleError(message) {
     console.error('Server error:', message.message);
     showNotification(message.message || 'An error occurred', true);
     
-    triggerEvent('error', message);
-}
-
-function handlePing(message) {
-    console.log('Ping received:', message);
-    sendMessage({
-        type: 'pong',
-        timestamp: message.timestamp
-    });
-}
-
-function handlePong(message) {
-    const latency = Date.now() - message.timestamp;
-    connectionStatus.pingLatency = latency;
-    console.log(`Pong received, latency: ${latency}ms`);
+    // The player belongs to another device now: start over as a new one
+    if (message.code === 'resume_denied') {
+        connectionStatus.playerId = null;
+        resumeToken = null;
+    }
     
-    triggerEvent('pong', { ...message, latency });
+    triggerEvent('error', message);
 }
 
 function handleRegistrationSuccess(message) {
-    console.log('Registration successful:', message);
+    console.log('Registration successful:', redactSecrets(message));
     if (message.playerId) {
         connectionStatus.playerId = message.playerId;
     }
+    resumeToken = message.resumeToken;
     showNotification('Registration successful!', false);
     
     triggerEvent('registration_success', message);
@@ -439,12 +331,36 @@ function handleRegistrationSuccess(message) {
 
 function handleRoomJoined(message) {
     console.log('Room joined:', message);
+    applyRoomDraw(message);
     connectionStatus.roomId = message.roomId;
     showNotification(`Joined room: ${message.roomId}`, false);
     
     triggerEvent('room_joined', message);
 }
 
+// Snapshot after a resume: the player's room, cards, marks and the calls so far
+function handleResumeState(message) {
+    console.log('Resumed:', message);
+    if (message.room) applyRoomDraw(message.room);
+    connectionStatus.roomId = message.room ? message.room.roomId : null;
+    connectionStatus.gameActive = Boolean(message.room && message.room.gameActive);
+    connectionStatus.draw = message.room ? message.room.draw : null;
+    
+    triggerEvent('resume_state', message);
+}
+
+// A commitment only proves anything if we had it before the first call;
+// mid-game we keep the one stored earlier for this room
+function applyRoomDraw(room) {
+    const earlierCommitment = connectionStatus.roomId === room.roomId ? connectionStatus.drawCommitment : null;
+    
+    connectionStatus.draw = room.draw || connectionStatus.draw;
+    connectionStatus.calledNumbers = [...(room.calledNumbers || [])];
+    connectionStatus.drawCommitment = connectionStatus.calledNumbers.length === 0
+        ? (room.draw ? room.draw.commitment : null)
+        : earlierCommitment;
+}
+
 function handleRoomLeft(message) {
     console.log('Room left:', message);
     connectionStatus.roomId = null;
@@ -453,6 +369,39 @@ function handleRoomLeft(message) {
     triggerEvent('room_left', message);
 }
 
+// Open rooms; room_updated and room_closed keep the list current
+function handleLobby(message) {
+    triggerEvent('lobby', message);
+}
+
+function handleRoomUpdated(message) {
+    triggerEvent('room_updated', message);
+}
+
+function handleRoomClosed(message) {
+    triggerEvent('room_closed', message);
+}
+
+function handlePaymentInitiated(message) {
+    console.log('Payment initiated:', message.payment);
+    
+    triggerEvent('payment_initiated', message);
+}
+
+function handlePaymentPending(message) {
+    console.log('Payment pending:', message.payment);
+    showNotification(message.instructions || `Payment of ${message.payment.amount} is pending`, false);
+    
+    triggerEvent('payment_pending', message);
+}
+
+function handlePaymentFailed(message) {
+    console.log('Payment failed:', message.payment);
+    showNotification(`Payment failed: ${message.reason || 'declined'}`, true);
+    
+    triggerEvent('payment_failed', message);
+}
+
 function handlePaymentConfirmed(message) {
     console.log('Payment confirmed:', message);
     showNotification(`Payment of ${message.amount || 0} confirmed`, false);
@@ -460,6 +409,16 @@ function handlePaymentConfirmed(message) {
     triggerEvent('payment_confirmed', message);
 }
 
+function handleTransactionRecorded(message) {
+    console.log('Transaction recorded:', message.transaction);
+    
+    triggerEvent('transaction_recorded', message);
+}
+
+function handleTransactions(message) {
+    triggerEvent('transactions', message);
+}
+
 function handleWinConfirmed(message) {
     console.log('Win confirmed:', message);
     showNotification(`You won ${message.amount || 0}!`, false);
@@ -467,13 +426,38 @@ function handleWinConfirmed(message) {
     triggerEvent('win_confirmed', message);
 }
 
+function handleClaimPending(message) {
+    console.log('Claim pending:', message);
+    showNotification('Claim received, waiting for other bingos on this call', false);
+    
+    triggerEvent('claim_pending', message);
+}
+
+function handleWinRejected(message) {
+    console.log('Win rejected:', message);
+    showNotification(`Win claim rejected: ${message.reason || message.pattern}`, true);
+    
+    triggerEvent('win_rejected', message);
+}
+
 function handleWithdrawalProcessing(message) {
     console.log('Withdrawal processing:', message);
-    showNotification(`Withdrawal of ${message.amount || 0} is processing`, false);
+    showNotification(`Withdrawal of ${message.amount || 0} is waiting for approval`, false);
     
     triggerEvent('withdrawal_processing', message);
 }
 
+function handleWithdrawalUpdated(message) {
+    console.log('Withdrawal updated:', message.request);
+    showNotification(`Withdrawal of ${message.request.amount} ${message.request.status}`, message.request.status === 'rejected');
+    
+    triggerEvent('withdrawal_updated', message);
+}
+
+function handleWithdrawals(message) {
+    triggerEvent('withdrawals', message);
+}
+
 function handlePlayerWon(message) {
     console.log('Player won:', message);
     showNotification(`${message.name || 'Player'} won ${message.amount || 0}!`, false);
@@ -507,6 +491,11 @@ function handleChatMessage(message) {
     triggerEvent('chat_message', message);
 }
 
+// Call signalling, picked up by rtc.js
+function handleSignal(message) {
+    triggerEvent(message.type, message);
+}
+
 function handleStats(message) {
     console.log('Stats received:', message);
     
@@ -527,33 +516,17 @@ function handleUnknownMessage(message) {
 
 // ===== EVENT SYSTEM =====
 
+// Handlers emit per message type on the transport's bus
 export function addEventListener(event, callback) {
-    if (!eventListeners.has(event)) {
-        eventListeners.set(event, []);
-    }
-    eventListeners.get(event).push(callback);
+    transport.on(event, callback);
 }
 
 export function removeEventListener(event, callback) {
-    if (eventListeners.has(event)) {
-        const listeners = eventListeners.get(event);
-        const index = listeners.indexOf(callback);
-        if (index > -1) {
-            listeners.splice(index, 1);
-        }
-    }
+    transport.off(event, callback);
 }
 
 function triggerEvent(event, data) {
-    if (eventListeners.has(event)) {
-        eventListeners.get(event).forEach(callback => {
-            try {
-                callback(data);
-            } catch (error) {
-                console.error(`Error in event handler for ${event}:`, error);
-            }
-        });
-    }
+    transport.emit(event, data);
 }
 
 // ===== PUBLIC API FUNCTIONS =====
@@ -566,6 +539,9 @@ export function registerPlayer(playerData) {
         phone: playerData.phone,
         stake: playerData.stake || 25,
         gameType: playerData.gameType || '75ball',
+        boardId: playerData.boardId || null,
+        strip: Boolean(playerData.strip),
+        cardCount: playerData.cardCount || 1,
         payment: playerData.payment || 0
     };
     
@@ -604,7 +580,8 @@ export function leaveRoom() {
     return sendMessage(message);
 }
 
-export function markNumber(number, marked = true) {
+// Without a card ID the server marks every card that carries the number
+export function markNumber(number, marked = true, cardId = null) {
     if (!connectionStatus.playerId) {
         return false;
     }
@@ -612,6 +589,7 @@ export function markNumber(number, marked = true) {
     const message = {
         type: 'mark',
         playerId: connectionStatus.playerId,
+        cardId: cardId,
         number: number,
         marked: marked
     };
@@ -619,7 +597,8 @@ export function markNumber(number, marked = true) {
     return sendMessage(message);
 }
 
-export function announceWin(pattern, amount) {
+// Claim a pattern; the server verifies it and computes the payout
+export function announceWin(pattern) {
     if (!connectionStatus.playerId || !connectionStatus.roomId) {
         showNotification('Not in a game', true);
         return false;
@@ -628,8 +607,7 @@ export function announceWin(pattern, amount) {
     const message = {
         type: 'win',
         playerId: connectionStatus.playerId,
-        pattern: pattern,
-        amount: amount
+        pattern: pattern
     };
     
     return sendMessage(message);
@@ -664,6 +642,38 @@ export function requestWithdrawal(amount, accountNumber) {
     return sendMessage(message);
 }
 
+export function requestTransactions(limit) {
+    if (!connectionStatus.playerId) {
+        return false;
+    }
+    
+    const message = {
+        type: 'get_transactions',
+        playerId: connectionStatus.playerId,
+        limit: limit
+    };
+    
+    return sendMessage(message);
+}
+
+// Anyone connected may ask for the lobby, registered or not
+export function requestLobby() {
+    return sendMessage({ type: 'get_lobby' });
+}
+
+export function requestWithdrawals() {
+    if (!connectionStatus.playerId) {
+        return false;
+    }
+    
+    const message = {
+        type: 'get_withdrawals',
+        playerId: connectionStatus.playerId
+    };
+    
+    return sendMessage(message);
+}
+
 export function sendChatMessage(text) {
     if (!connectionStatus.playerId || !connectionStatus.roomId) {
         return false;
@@ -680,7 +690,10 @@ export function sendChatMessage(text) {
 }
 
 // Admin functions
-export function adminStartGame(roomId, gameType, stake) {
+// options: { patterns, stages, progressive, split }
+export function adminStartGame(roomId, gameType, stake, options = {}) {
+    const { patterns = [], stages = [], progressive = false, split } = options;
+    
     if (!connectionStatus.isAdmin) {
         showNotification('Admin access required', true);
         return false;
@@ -693,10 +706,30 @@ export function adminStartGame(roomId, gameType, stake) {
         stake: stake || 25
     };
     
+    // Pattern games play the chosen library patterns (built-ins by default),
+    // or a list of stages won one after another
+    if (message.gameType === 'pattern' && patterns.length > 0) {
+        message.patterns = patterns;
+    }
+    if (message.gameType === 'pattern' && stages.length > 0) {
+        message.stages = stages;
+    }
+    
+    // Progressive games award the game type's prizes one after another
+    if (progressive) {
+        message.progressive = true;
+    }
+    
+    // How bingos on the same call share a prize ('equal' or 'cards')
+    if (split) {
+        message.split = split;
+    }
+    
     return sendMessage(message);
 }
 
-export function adminCallNumber(roomId, number) {
+// Ask the server to draw the next number from its committed sequence
+export function adminCallNumber(roomId) {
     if (!connectionStatus.isAdmin) {
         showNotification('Admin access required', true);
         return false;
@@ -704,8 +737,24 @@ export function adminCallNumber(roomId, number) {
     
     const message = {
         type: 'number_called',
-        roomId: roomId || connectionStatus.roomId,
-        number: number
+        roomId: roomId || connectionStatus.roomId
+    };
+    
+    return sendMessage(message);
+}
+
+export function adminEndGame(roomId) {
+    if (!connectionStatus.isAdmin) {
+        showNotification('Admin access required', true);
+        return false;
+    }
+    
+    const message = {
+        type: 'admin_command',
+        command: 'end_game',
+        data: {
+            roomId: roomId || connectionStatus.roomId
+        }
     };
     
     return sendMessage(message);
@@ -779,47 +828,30 @@ export function adminGetPlayers(roomId = null) {
 
 // Connection management
 export function disconnect() {
-    stopPingInterval();
-    
-    if (ws) {
-        ws.close(1000, 'User initiated disconnect');
-        ws = null;
-    }
-    
+    transport.disconnect();
     connectionStatus.connected = false;
-    reconnectAttempts = 0;
     
     showNotification('Disconnected from server', false);
 }
 
 export function reconnect() {
-    if (connectionStatus.connected) {
-        return true;
-    }
-    
-    reconnectAttempts = 0;
-    return initWebSocket({
-        playerId: connectionStatus.playerId,
-        isAdmin: connectionStatus.isAdmin
-    });
+    return transport.reconnect();
 }
 
 // Utility functions
 export function isConnected() {
-    return connectionStatus.connected;
+    return transport.isConnected();
 }
 
 export function getConnectionStatus() {
-    return { ...connectionStatus };
+    return { ...connectionStatus, ...transport.getStatus() };
 }
 
+// Messages not acked yet
 export function getMessageQueueLength() {
-    return messageQueue.length;
+    return getPendingMessages().length;
 }
 
 export function clearMessageQueue() {
-    messageQueue.length = 0;
+    getPendingMessages().forEach(entry => discardMessage(entry.messageId));
 }
-
-// Export WebSocket instance
-export { ws };